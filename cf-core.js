@@ -0,0 +1,322 @@
+// CF Core (shared Turnstile / verification / consent helpers)
+// Loaded before cf-traffic-gating.js and cf-form-handler.js so both share a
+// single Turnstile script, the same view of the verified-session cookie and
+// the same consent state.
+// Exposes window.cfCore and fires "cf-core:ready" on document once available.
+(function () {
+  if (window.cfCore) return;
+
+  // ============ CONFIG ============
+  var TURNSTILE_SCRIPT_URL =
+    "https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit";
+
+  // Cookie set by the verification Worker once the page passed the gate
+  var VERIFIED_COOKIE_NAME = "cf_ts_verified";
+  var verifiedCookieName = VERIFIED_COOKIE_NAME;
+
+  // How long to wait for the Turnstile script / a token before giving up
+  var LOAD_TIMEOUT = 15000;
+  var TOKEN_TIMEOUT = 30000;
+
+  // ============ HELPERS ============
+  var loadPromise = null;
+
+  // Tags errors with a machine-readable reason consumers can report on:
+  // "script_load" | "challenge_timeout" | "challenge_error" | "challenge_expired"
+  function withReason(err, reason) {
+    err.reason = reason;
+    return err;
+  }
+
+  function getCookie(name) {
+    var match = document.cookie.match(
+      new RegExp("(^|;\\s*)" + name + "=([^;]+)"),
+    );
+    return match ? decodeURIComponent(match[2]) : null;
+  }
+
+  // Epoch seconds or milliseconds -> milliseconds
+  function toMillis(timestamp) {
+    var n = Number(timestamp);
+    if (!n || isNaN(n)) return null;
+    return n < 1e12 ? n * 1000 : n;
+  }
+
+  // The Worker sets either a bare "1" (legacy) or "1.<expiresAt>[.<signature>]".
+  // The signature is only checked server-side; clients just read the expiry.
+  // Returns null when there is no usable session, else { expiresAt } where
+  // expiresAt is epoch ms or null when unknown.
+  function getVerifiedSession(cookieName) {
+    var value = getCookie(cookieName || verifiedCookieName);
+    if (!value) return null;
+
+    var parts = value.split(".");
+    if (parts[0] !== "1") return null;
+
+    var expiresAt = parts.length > 1 ? toMillis(parts[1]) : null;
+    if (expiresAt && expiresAt <= Date.now()) return null;
+
+    return { expiresAt: expiresAt };
+  }
+
+  function hasVerifiedSession(cookieName) {
+    return getVerifiedSession(cookieName) !== null;
+  }
+
+  // cf-traffic-gating.js shares its configured cookie name here so other
+  // scripts read the same session
+  function setVerifiedCookieName(name) {
+    if (!name) return;
+    verifiedCookieName = name;
+    window.cfCore.verifiedCookieName = name;
+  }
+
+  function whenBodyReady(cb) {
+    if (document.body) return cb();
+    document.addEventListener("DOMContentLoaded", cb);
+  }
+
+  // Resolves with window.turnstile, injecting the script only if no other
+  // code on the page has done so already.
+  function load() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = new Promise(function (resolve, reject) {
+      if (window.turnstile) return resolve(window.turnstile);
+
+      if (
+        !document.querySelector(
+          'script[src^="https://challenges.cloudflare.com/turnstile"]',
+        )
+      ) {
+        var s = document.createElement("script");
+        s.src = TURNSTILE_SCRIPT_URL;
+        s.async = true;
+        s.defer = true;
+        document.head.appendChild(s);
+      }
+
+      var startedAt = Date.now();
+      (function waitForTurnstile() {
+        if (window.turnstile) return resolve(window.turnstile);
+        if (Date.now() - startedAt > LOAD_TIMEOUT) {
+          loadPromise = null;
+          return reject(
+            withReason(
+              new Error("Turnstile script did not load"),
+              "script_load",
+            ),
+          );
+        }
+        setTimeout(waitForTurnstile, 50);
+      })();
+    });
+
+    return loadPromise;
+  }
+
+  // Runs a one-off challenge and resolves with its token.
+  // options.sitekey is required; options.action tags the token (visible in
+  // Siteverify); options.container renders the widget in place (needed when
+  // a managed sitekey may ask for an interaction), otherwise it is mounted
+  // off-screen and removed afterwards.
+  function getToken(options) {
+    options = options || {};
+    if (!options.sitekey) {
+      return Promise.reject(new Error("cfCore.getToken requires a sitekey"));
+    }
+
+    return load().then(function (turnstile) {
+      return new Promise(function (resolve, reject) {
+        whenBodyReady(function () {
+          var mount = options.container;
+          var ownsMount = !mount;
+          if (ownsMount) {
+            mount = document.createElement("div");
+            mount.style.cssText =
+              "position:absolute;left:-9999px;top:-9999px;width:1px;height:1px;overflow:hidden;";
+            document.body.appendChild(mount);
+          }
+
+          var widgetId = null;
+          var settled = false;
+          var timer = setTimeout(function () {
+            finish(
+              withReason(
+                new Error("Turnstile token timed out"),
+                "challenge_timeout",
+              ),
+            );
+          }, TOKEN_TIMEOUT);
+
+          function finish(err, token) {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            try {
+              if (widgetId !== null) turnstile.remove(widgetId);
+            } catch (e) {
+              // widget already gone
+            }
+            if (ownsMount && mount.parentNode) {
+              mount.parentNode.removeChild(mount);
+            }
+            return err ? reject(err) : resolve(token);
+          }
+
+          try {
+            widgetId = turnstile.render(mount, {
+              sitekey: options.sitekey,
+              action: options.action,
+              language: options.language,
+              execution: "execute",
+              appearance: options.appearance || "interaction-only",
+              callback: function (token) {
+                finish(null, token);
+              },
+              "error-callback": function (code) {
+                finish(
+                  withReason(
+                    new Error("Turnstile error " + code),
+                    "challenge_error",
+                  ),
+                );
+                return true;
+              },
+              "expired-callback": function () {
+                finish(
+                  withReason(
+                    new Error("Turnstile token expired"),
+                    "challenge_expired",
+                  ),
+                );
+              },
+            });
+            turnstile.execute(widgetId);
+          } catch (e) {
+            finish(withReason(e, "challenge_error"));
+          }
+        });
+      });
+    });
+  }
+
+  // ============ CONSENT ============
+  // Consent comes from Google Consent Mode (GTM/gtag.js keep the state of
+  // gtag("consent", "default" | "update", {...}) in google_tag_data.ics) or
+  // from a CMP callback calling
+  // cfCore.consent.update({ ad_storage: "granted", ... }).
+  // Unknown consent counts as not granted; hasSignal() tells callers whether
+  // the page uses consent at all.
+  var CONSENT_POLL_INTERVAL = 1000;
+  var consentState = {};
+  var consentListeners = [];
+  var lastConsentSnapshot = "";
+
+  function readGtmConsent(type) {
+    var ics = window.google_tag_data && window.google_tag_data.ics;
+    var entry = ics && ics.entries && ics.entries[type];
+    if (!entry) return null;
+    var value = entry.update !== undefined ? entry.update : entry["default"];
+    if (value === true) return "granted";
+    if (value === false) return "denied";
+    return null;
+  }
+
+  function getConsent(type) {
+    return consentState[type] || readGtmConsent(type);
+  }
+
+  function isConsentGranted(type) {
+    return getConsent(type) === "granted";
+  }
+
+  // Whether anything on the page has set consent, granted or denied
+  function hasConsentSignal() {
+    for (var key in consentState) {
+      if (consentState[key]) return true;
+    }
+    var ics = window.google_tag_data && window.google_tag_data.ics;
+    for (var type in (ics && ics.entries) || {}) {
+      if (readGtmConsent(type)) return true;
+    }
+    return false;
+  }
+
+  function consentSnapshot() {
+    var types = [
+      "ad_storage",
+      "analytics_storage",
+      "ad_user_data",
+      "ad_personalization",
+    ];
+    for (var key in consentState) {
+      if (types.indexOf(key) === -1) types.push(key);
+    }
+    var snapshot = {};
+    for (var i = 0; i < types.length; i++) {
+      snapshot[types[i]] = getConsent(types[i]);
+    }
+    return snapshot;
+  }
+
+  function notifyConsentChange() {
+    var snapshot = consentSnapshot();
+    var serialized = JSON.stringify(snapshot);
+    if (serialized === lastConsentSnapshot) return;
+    lastConsentSnapshot = serialized;
+
+    var listeners = consentListeners.slice();
+    for (var i = 0; i < listeners.length; i++) {
+      try {
+        listeners[i](snapshot);
+      } catch (e) {
+        // one broken listener must not block the others
+      }
+    }
+  }
+
+  function updateConsent(update) {
+    for (var key in update) {
+      if (update[key] === "granted" || update[key] === "denied") {
+        consentState[key] = update[key];
+      }
+    }
+    notifyConsentChange();
+  }
+
+  // GTM's consent state has no public change event, so it is polled; CMP
+  // callbacks through update() notify immediately
+  function watchConsent() {
+    lastConsentSnapshot = JSON.stringify(consentSnapshot());
+    setInterval(notifyConsentChange, CONSENT_POLL_INTERVAL);
+  }
+
+  // Calls cb(snapshot) whenever the effective consent state changes
+  function onConsentChange(cb) {
+    if (typeof cb === "function") consentListeners.push(cb);
+  }
+
+  watchConsent();
+
+  // ============ PUBLIC API ============
+  window.cfCore = {
+    load: load,
+    getToken: getToken,
+    getCookie: getCookie,
+    getVerifiedSession: getVerifiedSession,
+    hasVerifiedSession: hasVerifiedSession,
+    setVerifiedCookieName: setVerifiedCookieName,
+    toMillis: toMillis,
+    consent: {
+      get: getConsent,
+      isGranted: isConsentGranted,
+      hasSignal: hasConsentSignal,
+      update: updateConsent,
+      onChange: onConsentChange,
+    },
+    verifiedCookieName: verifiedCookieName,
+  };
+
+  document.dispatchEvent(new CustomEvent("cf-core:ready"));
+})();
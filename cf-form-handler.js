@@ -1,5 +1,7 @@
 // RSB Form Handler (Pardot Intercept)
 // Automatically detects forms with cf-form attribute and processes them via Cloudflare Worker
+// Forms with a Turnstile sitekey should load cf-core.js on the same page;
+// without it they fall back to loading Turnstile directly.
 
 // ========================================
 // CONFIGURATION
@@ -11,12 +13,52 @@ const FORM_CONFIG = {
   // Debug Mode
   debug: false,
 
+  // How long to wait for cf-core.js (Turnstile, consent) before giving up
+  coreTimeout: 15000,
+
+  // How long a submission may wait for the Worker before it is abandoned
+  submitTimeout: 20000,
+
   // Form Selectors & Attributes
   formSelector: "form[cf-form]",
   formIdAttribute: "cf-form",
   formUrlAttribute: "cf-form-url",
   redirectUrlAttribute: "cf-redirect-url",
+  // Set on the form for styling: idle | validating | submitting |
+  // succeeded | failed
+  stateAttribute: "cf-form-state",
   turnstileSiteKeyAttribute: "cf-turnstile-sitekey",
+  turnstileModeAttribute: "cf-turnstile-mode",
+
+  // Per-form overrides of the globals below. Set them as attributes on the
+  // form, or as JSON using the option names as keys, either inside the form:
+  //   <script type="application/json" cf-form-config>
+  //     {"assetUrl": "https://.../app-note.pdf", "redirectDelay": 0}
+  //   </script>
+  // or anywhere on the page with cf-form-config="<form id>". Attributes win.
+  // The JSON may also set "redirectUrl" in place of cf-redirect-url, and
+  // "messages" to override single i18n messages.
+  formConfigAttribute: "cf-form-config",
+  formOptionAttributes: {
+    workerUrl: "cf-worker-url",
+    loadingText: "cf-loading-text",
+    honeypot: "cf-honeypot", // "false" disables it for the form
+    redirectDelay: "cf-redirect-delay",
+    // Replaces the Webflow success text; {field_name} inserts a submitted value
+    successMessage: "cf-success-message",
+    // Opened on success (gated downloads) instead of redirecting
+    assetUrl: "cf-asset-url",
+    // What a known visitor sees on a gated form (see gatedContent)
+    returningVisitor: "cf-gated-returning",
+    // "true" opts the form into progressive profiling, plus the maximum
+    // number of unanswered cf-progressive questions to show at once
+    progressiveProfiling: "cf-progressive-profiling",
+    progressiveLimit: "cf-progressive-limit",
+    // Milliseconds (see botSignals)
+    minFillTime: "cf-min-fill-time",
+    // "true" opts the form into draft autosave
+    drafts: "cf-drafts",
+  },
 
   // Submit Button Selectors
   submitButtonSelector: '[cf-form-submit="trigger"]',
@@ -29,8 +71,8 @@ const FORM_CONFIG = {
   // CSS Classes
   hideClass: "hide",
 
-  // Loading Text
-  loadingText: "Sending...",
+  // Milliseconds between success and following cf-redirect-url
+  redirectDelay: 100,
 
   // Honeypot Settings
   enableHoneypot: true,
@@ -45,11 +87,390 @@ const FORM_CONFIG = {
     "spam_trap_link",
   ],
 
+  // Bot Signals
+  // Per form: time to first interaction, fill time, keystrokes, pastes,
+  // pointer activity and focus changes, sent as formData.metadata.botSignals
+  // for the Worker to score. A minFillTime above 0 rejects submissions sent
+  // faster than that after the first interaction (or after the form was set
+  // up, when nothing was touched) before they reach the Worker.
+  botSignals: {
+    enabled: true,
+    minFillTime: 0,
+  },
+
   // UTM/Tracking Parameter Persistence
   trackingParams: {
     enabled: true,
     allowPatterns: [/^utm_/i, /^gad_/i, /^gclid$/i, /^fbclid$/i],
     sessionStorageKey: "persistQS",
+
+    // Persisted params are added to same-origin links, GET form submissions
+    // and window.open() URLs. Hosts listed here are decorated as well; a
+    // leading "." matches the domain and all of its subdomains. Links or forms
+    // inside an element with cf-no-persist are left alone. Other scripts can
+    // use rsbFormHandler.decorateUrl(url) before navigating programmatically.
+    crossDomainAllowlist: [".redshiftbio.com"],
+    noPersistAttribute: "cf-no-persist",
+
+    // Consent gating (uses cf-core.js). Ad-click identifiers need
+    // adConsentType, everything else (UTMs, link decoration) needs
+    // analyticsConsentType. Params seen before consent are held in memory and
+    // applied once it is granted; revoking consent removes them again.
+    // Pages without cf-core.js persist params right away, as if consent
+    // gating were disabled. With cf-core.js, consent stays undecided until a
+    // Consent Mode signal or cfCore.consent.update() arrives; set
+    // grantWithoutSignal only on sites that run no CMP at all.
+    consent: {
+      enabled: true,
+      grantWithoutSignal: false,
+      adClickPatterns: [/^gad_/i, /^gclid$/i, /^fbclid$/i],
+      adConsentType: "ad_storage",
+      analyticsConsentType: "analytics_storage",
+    },
+  },
+
+  // Field Validation
+  // Rules are declared per field, e.g. cf-validate="required|business-email"
+  // or cf-validate="min:3|pattern:^[A-Z]{2}\d+$" (pattern must come last).
+  // cf-error-message overrides the message for any failed rule, and
+  // cf-error-message-<rule> overrides it for a single rule. Errors go into
+  // the field's wrapper (its error text, or one created there); fields
+  // without a wrapper get an error element inserted right after them.
+  validation: {
+    ruleAttribute: "cf-validate",
+    messageAttribute: "cf-error-message",
+    wrapperSelector: ".form-field-wrapper",
+    errorTextSelector: ".form-field_error-text",
+    errorElementAttribute: "cf-validate-error",
+    freeMailDomains: [
+      "gmail.com",
+      "googlemail.com",
+      "yahoo.com",
+      "hotmail.com",
+      "outlook.com",
+      "live.com",
+      "msn.com",
+      "aol.com",
+      "icloud.com",
+      "me.com",
+      "mail.com",
+      "gmx.com",
+      "gmx.de",
+      "web.de",
+      "proton.me",
+      "protonmail.com",
+      "yandex.com",
+      "qq.com",
+      "163.com",
+    ],
+  },
+
+  // Multi-step (Wizard) Forms
+  // A form containing [cf-form-step] sections shows one step at a time.
+  // [cf-form-step-nav="next"|"back"] elements move between steps and
+  // [cf-form-step-progress="current"|"total"|"bar"] elements show progress.
+  steps: {
+    stepAttribute: "cf-form-step",
+    navAttribute: "cf-form-step-nav",
+    progressAttribute: "cf-form-step-progress",
+    currentStepAttribute: "cf-form-current-step",
+    storageKeyPrefix: "rsbFormStep:",
+  },
+
+  // Conditional Fields
+  // cf-show-if="inquiry_type=Support" shows an element only while the rule
+  // holds. Supported forms: "field=a,b" (any of), "field!=value", "field"
+  // (has any value); join several with "&". Inputs inside hidden elements
+  // are disabled so they are neither validated nor submitted.
+  conditional: {
+    attribute: "cf-show-if",
+    disabledMarkerAttribute: "cf-show-if-disabled",
+  },
+
+  // GTM dataLayer Funnel Events
+  // Every event carries formId and the persisted tracking params. Set an
+  // event name to null to stop pushing it.
+  dataLayer: {
+    enabled: true,
+    viewThreshold: 0.5,
+    events: {
+      view: "rsb_form_view",
+      start: "rsb_form_start",
+      abandon: "rsb_form_abandon",
+      validationFailed: "rsb_form_validation_failed",
+      submit: "rsb_form_submit",
+      success: "rsb_form_success",
+      error: "rsb_form_error",
+      gatedUnlock: "rsb_gated_unlock",
+    },
+  },
+
+  // File Uploads
+  // File inputs are sent base64-encoded inside the JSON payload, so limits
+  // are enforced before submitting. An input's own accept attribute further
+  // narrows allowedTypes.
+  fileUploads: {
+    maxFileSize: 5 * 1024 * 1024,
+    maxTotalSize: 10 * 1024 * 1024,
+    maxFiles: 5,
+    allowedTypes: [
+      "application/pdf",
+      "image/png",
+      "image/jpeg",
+      "text/csv",
+      "text/plain",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+  },
+
+  // Turnstile (loaded through cf-core.js)
+  // Widgets are rendered explicitly. cf-turnstile-mode="managed" (default)
+  // shows the widget above the submit button; "invisible" only surfaces it
+  // if Cloudflare needs an interaction and runs the challenge on submit.
+  // Visitors who already passed traffic gating (cf_ts_verified cookie) get
+  // invisible mode. Tokens are single-use, so the widget is reset after
+  // every attempt.
+  // Pages without cf-core.js load api.js from scriptUrl instead and render
+  // every widget in managed mode (invisible mode needs cfCore.getToken).
+  turnstile: {
+    scriptUrl:
+      "https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit",
+  },
+
+  // First-/Last-touch Attribution
+  // Stored in localStorage so it outlives the tab. The first touch is kept
+  // until it is older than lifetimeDays; the last touch is replaced whenever
+  // a visit arrives with tracking params or from an external referrer. Both
+  // are injected as hidden fields, e.g. ft_utm_source / lt_utm_source plus
+  // ft_landing_page, ft_referrer and ft_timestamp. Follows the same consent
+  // rules as trackingParams.
+  attribution: {
+    enabled: true,
+    storageKey: "rsbAttribution",
+    lifetimeDays: 90,
+    firstTouchPrefix: "ft_",
+    lastTouchPrefix: "lt_",
+  },
+
+  // Gated Content
+  // Forms with an assetUrl unlock that asset on success and mark the visitor
+  // as known (a flag in localStorage, no personal data). On later gated forms
+  // a known visitor gets, per the form's returningVisitor option:
+  //   "unlock"     - the form is skipped and the download shown right away
+  //   "short-form" - elements marked cf-gated-hide-known are hidden and
+  //                  their fields left out; the rest is submitted as usual
+  //   "form"       - the full form
+  // Links marked cf-gated-download next to the form receive the asset URL;
+  // one (text: the "download" message) is added to .w-form-done when there
+  // is none.
+  gatedContent: {
+    enabled: true,
+    storageKey: "rsbKnownVisitor",
+    lifetimeDays: 365,
+    returningVisitor: "unlock",
+    knownHideAttribute: "cf-gated-hide-known",
+    downloadAttribute: "cf-gated-download",
+  },
+
+  // Progressive Profiling (opt-in, globally or per form)
+  // Allowlisted values from successful submissions are kept in localStorage
+  // and prefilled on later forms. Question wrappers marked cf-progressive are
+  // hidden once every field in them is known, and the remembered values are
+  // submitted in place of their fields;
+  // with a progressiveLimit only that many unanswered ones show, so repeat
+  // visitors get the next questions in document order each time.
+  // Values are only kept while consentType is granted (same rule as tracking
+  // params). Keep sensitive fields (phone, free text, anything regulated)
+  // out of allowFields. Name and email are listed on purpose: not asking a
+  // known visitor for them again is what progressive profiling is for.
+  progressiveProfiling: {
+    enabled: false,
+    storageKey: "rsbProfile",
+    lifetimeDays: 365,
+    attribute: "cf-progressive",
+    consentType: "personalization_storage",
+    allowFields: [
+      "first_name",
+      "last_name",
+      "email",
+      "company",
+      "job_title",
+      "industry",
+      "country",
+      "state",
+    ],
+  },
+
+  // Draft Autosave (opt-in, globally or per form)
+  // Values of allowFields are saved per form id while the visitor types and
+  // restored when they come back. Honeypot, Turnstile, hidden, password and
+  // file fields are never saved, nor fields inside an element with
+  // cf-no-save. Drafts follow the tracking consent setup: with cf-core.js
+  // on the page, consentType must be granted.
+  // A [cf-draft-notice] element in the form is unhidden after a restore
+  // (filled with the "draftRestored" message when empty). The draft is
+  // dropped once the form is sent.
+  // Keep contact details and free text out of allowFields; drafts outlive
+  // the visit on shared devices.
+  drafts: {
+    enabled: false,
+    allowFields: ["company", "job_title", "industry", "country", "state"],
+    consentType: "functionality_storage",
+    storageKeyPrefix: "rsbFormDraft:",
+    saveDelay: 500,
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+    noSaveAttribute: "cf-no-save",
+    noticeAttribute: "cf-draft-notice",
+  },
+
+  // Offline Submission Queue
+  // Submissions that fail with a network error are stored in localStorage and
+  // retried with exponential backoff on `online` events and later page loads.
+  offlineQueue: {
+    enabled: true,
+    storageKey: "rsbFormQueue",
+    maxAttempts: 8,
+    baseRetryDelay: 5000,
+    maxRetryDelay: 5 * 60 * 1000,
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+  },
+
+  // Messages
+  // Every visitor-facing string, by locale. A form's locale comes from the
+  // nearest cf-form-locale attribute, else <html lang>; "de-AT" falls back
+  // to "de", then to defaultLocale, per message. The locale is also passed
+  // to Turnstile and sent to the Worker as payload.locale. A form's
+  // cf-form-config JSON may override single messages under "messages", and
+  // cf-loading-text overrides "loading".
+  i18n: {
+    defaultLocale: "en",
+    localeAttribute: "cf-form-locale",
+    catalogs: {
+      en: {
+        loading: "Sending...",
+        download: "Download",
+        // Field validation, by rule name ({arg} is the rule's argument)
+        required: "This field is required.",
+        email: "Please enter a valid email address.",
+        "business-email": "Please use your business email address.",
+        phone: "Please enter a valid phone number.",
+        min: "Please enter at least {arg} characters.",
+        max: "Please enter no more than {arg} characters.",
+        pattern: "Please match the requested format.",
+        invalid: "Please check this field.",
+        // File uploads
+        fileSize: "Each file must be smaller than {size}.",
+        totalSize: "Attachments must be smaller than {size} in total.",
+        fileCount: "Please attach no more than {count} files.",
+        fileType: "This file type is not supported.",
+        // Captcha widget
+        captchaRequired: "Please complete the captcha verification.",
+        captchaExpired: "The captcha expired. Please complete it again.",
+        captchaFailed: "Captcha verification failed. Please try again.",
+        // Submission
+        network: "Network error. Please check your connection and try again.",
+        server: "Something went wrong. Please try again.",
+        unavailable:
+          "The form is temporarily unavailable. Please try again in a few minutes.",
+        rateLimited:
+          "Too many submissions. Please wait {seconds} seconds and try again.",
+        captchaRejected:
+          "Captcha verification failed. Please complete it again.",
+        fields: "Please correct the highlighted fields.",
+        tooFast:
+          "That was quick! Please check your details and submit again in a moment.",
+        draftRestored: "We restored the answers you entered earlier.",
+        timeout: "The server is taking too long to respond. Please try again.",
+        queued:
+          "You appear to be offline. Your submission has been saved and will be sent automatically once your connection is back.",
+        queuedWithoutAttachments:
+          "You appear to be offline. Your details have been saved and will be sent automatically once your connection is back, but your attachments could not be saved. Please send them again later.",
+      },
+      de: {
+        loading: "Wird gesendet...",
+        download: "Herunterladen",
+        required: "Dieses Feld ist erforderlich.",
+        email: "Bitte geben Sie eine gültige E-Mail-Adresse ein.",
+        "business-email":
+          "Bitte verwenden Sie Ihre geschäftliche E-Mail-Adresse.",
+        phone: "Bitte geben Sie eine gültige Telefonnummer ein.",
+        min: "Bitte geben Sie mindestens {arg} Zeichen ein.",
+        max: "Bitte geben Sie höchstens {arg} Zeichen ein.",
+        pattern: "Bitte halten Sie sich an das vorgegebene Format.",
+        invalid: "Bitte überprüfen Sie dieses Feld.",
+        fileSize: "Jede Datei muss kleiner als {size} sein.",
+        totalSize: "Anhänge müssen insgesamt kleiner als {size} sein.",
+        fileCount: "Bitte hängen Sie höchstens {count} Dateien an.",
+        fileType: "Dieser Dateityp wird nicht unterstützt.",
+        captchaRequired: "Bitte schließen Sie die Captcha-Prüfung ab.",
+        captchaExpired:
+          "Das Captcha ist abgelaufen. Bitte bestätigen Sie es erneut.",
+        captchaFailed:
+          "Die Captcha-Prüfung ist fehlgeschlagen. Bitte versuchen Sie es erneut.",
+        network:
+          "Netzwerkfehler. Bitte prüfen Sie Ihre Verbindung und versuchen Sie es erneut.",
+        server: "Etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.",
+        unavailable:
+          "Das Formular ist vorübergehend nicht verfügbar. Bitte versuchen Sie es in einigen Minuten erneut.",
+        rateLimited:
+          "Zu viele Anfragen. Bitte warten Sie {seconds} Sekunden und versuchen Sie es erneut.",
+        captchaRejected:
+          "Die Captcha-Prüfung ist fehlgeschlagen. Bitte bestätigen Sie es erneut.",
+        fields: "Bitte korrigieren Sie die markierten Felder.",
+        tooFast:
+          "Das ging schnell! Bitte prüfen Sie Ihre Angaben und senden Sie das Formular gleich erneut ab.",
+        draftRestored:
+          "Wir haben Ihre zuvor eingegebenen Angaben wiederhergestellt.",
+        timeout:
+          "Der Server antwortet nicht rechtzeitig. Bitte versuchen Sie es erneut.",
+        queued:
+          "Sie scheinen offline zu sein. Ihre Anfrage wurde gespeichert und wird automatisch gesendet, sobald die Verbindung wiederhergestellt ist.",
+        queuedWithoutAttachments:
+          "Sie scheinen offline zu sein. Ihre Angaben wurden gespeichert und werden automatisch gesendet, sobald die Verbindung wiederhergestellt ist. Ihre Anhänge konnten jedoch nicht gespeichert werden. Bitte senden Sie sie später erneut.",
+      },
+      ja: {
+        loading: "送信中...",
+        download: "ダウンロード",
+        required: "この項目は必須です。",
+        email: "有効なメールアドレスを入力してください。",
+        "business-email": "会社のメールアドレスを入力してください。",
+        phone: "有効な電話番号を入力してください。",
+        min: "{arg}文字以上で入力してください。",
+        max: "{arg}文字以内で入力してください。",
+        pattern: "指定された形式で入力してください。",
+        invalid: "この項目を確認してください。",
+        fileSize: "各ファイルは{size}未満にしてください。",
+        totalSize: "添付ファイルの合計は{size}未満にしてください。",
+        fileCount: "添付できるファイルは{count}個までです。",
+        fileType: "このファイル形式には対応していません。",
+        captchaRequired: "キャプチャ認証を完了してください。",
+        captchaExpired:
+          "キャプチャの有効期限が切れました。もう一度認証してください。",
+        captchaFailed: "キャプチャ認証に失敗しました。もう一度お試しください。",
+        network:
+          "ネットワークエラーが発生しました。接続を確認して、もう一度お試しください。",
+        server: "問題が発生しました。もう一度お試しください。",
+        unavailable:
+          "フォームは一時的に利用できません。数分後にもう一度お試しください。",
+        rateLimited:
+          "送信回数が多すぎます。{seconds}秒待ってから、もう一度お試しください。",
+        captchaRejected:
+          "キャプチャ認証に失敗しました。もう一度認証してください。",
+        fields: "入力内容をご確認のうえ、該当する項目を修正してください。",
+        tooFast:
+          "送信が早すぎます。入力内容をご確認のうえ、少し時間をおいてから再度送信してください。",
+        draftRestored: "以前に入力された内容を復元しました。",
+        timeout:
+          "サーバーからの応答に時間がかかっています。もう一度お試しください。",
+        queued:
+          "オフラインのようです。送信内容は保存され、接続が回復すると自動的に送信されます。",
+        queuedWithoutAttachments:
+          "オフラインのようです。入力内容は保存され、接続が回復すると自動的に送信されますが、添付ファイルは保存できませんでした。後ほど改めてお送りください。",
+      },
+    },
   },
 };
 
@@ -58,7 +479,21 @@ class RSBFormHandler {
     this.forms = [];
     this.workerUrl = FORM_CONFIG.workerUrl;
     this.debug = FORM_CONFIG.debug;
+    this.queueTimer = null;
+    this.queueProcessing = false;
+    this.corePromise = null;
+    this.turnstilePromise = null;
+    this.incomingTrackingParams = "";
+    this.linkMergingInstalled = false;
+    this.pageTouch = null;
+    this.fieldErrorElements = new WeakMap();
+    this.validators = {};
+    this.listeners = {};
+    this.formObserver = null;
+    this.errorIdCounter = 0;
+    this.registerBuiltInValidators();
     this.initTrackingPersistence();
+    this.initOfflineQueue();
     this.init();
   }
 
@@ -98,49 +533,323 @@ class RSBFormHandler {
     };
 
     const incoming = window.location.search.slice(1);
-    const filtered = filterAllowed(incoming);
+    this.incomingTrackingParams = filterAllowed(incoming);
 
-    if (filtered) {
-      sessionStorage.setItem(
-        FORM_CONFIG.trackingParams.sessionStorageKey,
-        filtered
-      );
+    const persistWithoutConsent = () => {
+      if (this.incomingTrackingParams) {
+        sessionStorage.setItem(
+          FORM_CONFIG.trackingParams.sessionStorageKey,
+          this.incomingTrackingParams
+        );
+      }
+      this.recordAttribution();
+      this.setupLinkParameterMerging();
+    };
+
+    if (
+      !FORM_CONFIG.trackingParams.consent.enabled ||
+      (!window.cfCore && !document.querySelector('script[src*="cf-core"]'))
+    ) {
+      persistWithoutConsent();
+      return;
     }
 
-    this.setupLinkParameterMerging();
+    this.loadCore()
+      .then((core) => {
+        const apply = () => this.applyTrackingConsent(core);
+        core.consent.onChange(apply);
+        apply();
+      })
+      .catch((error) => {
+        this.warn("Consent unavailable; persisting tracking params", error);
+        persistWithoutConsent();
+      });
   }
 
-  setupLinkParameterMerging() {
-    const persisted = sessionStorage.getItem(
-      FORM_CONFIG.trackingParams.sessionStorageKey
+  // "granted" | "denied" | null (not decided yet, which includes a CMP
+  // that hasn't answered)
+  getConsentState(core, type) {
+    if (
+      FORM_CONFIG.trackingParams.consent.grantWithoutSignal &&
+      !core.consent.hasSignal()
+    ) {
+      return "granted";
+    }
+    return core.consent.get(type);
+  }
+
+  getTrackingParamConsent(core, key) {
+    const { adClickPatterns, adConsentType, analyticsConsentType } =
+      FORM_CONFIG.trackingParams.consent;
+    const isAdClick = adClickPatterns.some((pattern) => pattern.test(key));
+    return this.getConsentState(
+      core,
+      isAdClick ? adConsentType : analyticsConsentType
     );
-    if (!persisted) return;
+  }
 
-    const mergeQuery = (href) => {
-      try {
-        const url = new URL(href, window.location.origin);
+  applyTrackingConsent(core) {
+    const storageKey = FORM_CONFIG.trackingParams.sessionStorageKey;
+    const incoming = new URLSearchParams(this.incomingTrackingParams);
+    const stored = new URLSearchParams(
+      sessionStorage.getItem(storageKey) || ""
+    );
+
+    // New params replace the stored set once any of them may be kept.
+    // Undecided consent keeps what an earlier grant already stored (the CMP
+    // may simply not have loaded yet); only an explicit denial removes it.
+    const consented = new URLSearchParams();
+    incoming.forEach((value, key) => {
+      if (this.getTrackingParamConsent(core, key) === "granted") {
+        consented.set(key, value);
+      }
+    });
+    if (!consented.toString()) {
+      stored.forEach((value, key) => {
+        if (this.getTrackingParamConsent(core, key) !== "denied") {
+          consented.set(key, value);
+        }
+      });
+    }
+
+    const persisted = consented.toString();
+    if (persisted) {
+      sessionStorage.setItem(storageKey, persisted);
+    } else {
+      sessionStorage.removeItem(storageKey);
+    }
+    this.log("Tracking params after consent check:", persisted);
+
+    const analyticsConsent = this.getConsentState(
+      core,
+      FORM_CONFIG.trackingParams.consent.analyticsConsentType
+    );
+    if (analyticsConsent === "granted") {
+      this.setupLinkParameterMerging();
+    }
+
+    this.applyAttributionConsent(core, analyticsConsent);
+
+    // Retroactively update forms that were set up before consent changed
+    this.forms.forEach((config) => this.setupTrackingParams(config));
+  }
+
+  readAttribution() {
+    const { storageKey, lifetimeDays } = FORM_CONFIG.attribution;
+    const maxAge = lifetimeDays * 24 * 60 * 60 * 1000;
+    try {
+      const store = JSON.parse(localStorage.getItem(storageKey)) || {};
+      ["firstTouch", "lastTouch"].forEach((touch) => {
         if (
-          url.origin !== window.location.origin ||
-          !/^https?:$/i.test(url.protocol)
+          store[touch] &&
+          Date.now() - Date.parse(store[touch].timestamp) > maxAge
         ) {
-          return href;
+          delete store[touch];
         }
+      });
+      return store;
+    } catch (e) {
+      return {};
+    }
+  }
+
+  writeAttribution(store) {
+    try {
+      if (store.firstTouch || store.lastTouch) {
+        localStorage.setItem(
+          FORM_CONFIG.attribution.storageKey,
+          JSON.stringify(store)
+        );
+      } else {
+        localStorage.removeItem(FORM_CONFIG.attribution.storageKey);
+      }
+    } catch (e) {
+      this.warn("Could not persist attribution", e);
+    }
+  }
 
-        const target = url.searchParams;
-        const src = new URLSearchParams(persisted);
+  // Records this page view as a touch. `keepParam` decides which incoming
+  // params may be stored (consent).
+  recordAttribution(keepParam = () => true) {
+    if (!FORM_CONFIG.attribution.enabled) return;
 
-        src.forEach((val, key) => {
-          if (!target.has(key)) {
-            target.set(key, val);
-          }
-        });
+    const params = {};
+    new URLSearchParams(this.incomingTrackingParams).forEach((value, key) => {
+      if (keepParam(key)) params[key] = value;
+    });
 
-        url.search = target.toString();
-        return url.toString();
+    if (!this.pageTouch) {
+      let isExternalReferrer = false;
+      try {
+        isExternalReferrer =
+          !!document.referrer &&
+          new URL(document.referrer).hostname !== window.location.hostname;
       } catch (e) {
+        isExternalReferrer = false;
+      }
+
+      this.pageTouch = {
+        landingPage: window.location.origin + window.location.pathname,
+        referrer: document.referrer,
+        timestamp: new Date().toISOString(),
+        isExternalReferrer,
+      };
+    }
+
+    // Consent may widen after this page view was recorded (analytics first,
+    // ad_storage later); its touches then gain the newly allowed params
+    const { isExternalReferrer, ...page } = this.pageTouch;
+    const isThisPage = (touch) => touch && touch.timestamp === page.timestamp;
+    const newTouch = () => Object.assign({ params: { ...params } }, page);
+
+    const store = this.readAttribution();
+    if (!store.firstTouch) {
+      store.firstTouch = newTouch();
+    } else if (isThisPage(store.firstTouch)) {
+      Object.assign(store.firstTouch.params, params);
+    }
+    if (isThisPage(store.lastTouch)) {
+      Object.assign(store.lastTouch.params, params);
+    } else if (
+      !store.lastTouch ||
+      Object.keys(params).length ||
+      isExternalReferrer
+    ) {
+      store.lastTouch = newTouch();
+    }
+    this.writeAttribution(store);
+  }
+
+  applyAttributionConsent(core, analyticsConsent) {
+    if (!FORM_CONFIG.attribution.enabled) return;
+
+    if (analyticsConsent === "denied") {
+      this.writeAttribution({});
+      return;
+    }
+
+    // Strip anything whose consent was explicitly denied
+    const store = this.readAttribution();
+    ["firstTouch", "lastTouch"].forEach((touch) => {
+      if (!store[touch]) return;
+      Object.keys(store[touch].params).forEach((key) => {
+        if (this.getTrackingParamConsent(core, key) === "denied") {
+          delete store[touch].params[key];
+        }
+      });
+    });
+    this.writeAttribution(store);
+
+    if (analyticsConsent === "granted") {
+      this.recordAttribution(
+        (key) => this.getTrackingParamConsent(core, key) === "granted"
+      );
+    }
+  }
+
+  getAttributionFields() {
+    const { firstTouchPrefix, lastTouchPrefix } = FORM_CONFIG.attribution;
+    const store = this.readAttribution();
+    const fields = {};
+
+    [
+      [store.firstTouch, firstTouchPrefix],
+      [store.lastTouch, lastTouchPrefix],
+    ].forEach(([touch, prefix]) => {
+      if (!touch) return;
+      Object.keys(touch.params).forEach((key) => {
+        fields[prefix + key] = touch.params[key];
+      });
+      fields[prefix + "landing_page"] = touch.landingPage;
+      fields[prefix + "referrer"] = touch.referrer;
+      fields[prefix + "timestamp"] = touch.timestamp;
+    });
+
+    return fields;
+  }
+
+  setupAttributionFields(config) {
+    if (!FORM_CONFIG.attribution.enabled) return;
+
+    const fields = this.getAttributionFields();
+
+    config.formElement
+      .querySelectorAll('input[data-attribution-param="true"]')
+      .forEach((field) => {
+        if (!(field.name in fields)) field.remove();
+      });
+
+    Object.keys(fields).forEach((name) => {
+      let field = config.formElement.querySelector(`input[name="${name}"]`);
+      if (field && field.getAttribute("data-attribution-param") !== "true") {
+        return;
+      }
+      if (!field) {
+        field = document.createElement("input");
+        field.type = "hidden";
+        field.name = name;
+        field.setAttribute("data-attribution-param", "true");
+        config.formElement.insertBefore(field, config.formElement.firstChild);
+      }
+      field.value = fields[name];
+    });
+  }
+
+  isDecoratableUrl(url) {
+    if (!/^https?:$/i.test(url.protocol)) return false;
+    if (url.origin === window.location.origin) return true;
+
+    const host = url.hostname.toLowerCase();
+    return FORM_CONFIG.trackingParams.crossDomainAllowlist.some((entry) => {
+      const domain = entry.toLowerCase();
+      return domain.startsWith(".")
+        ? host === domain.slice(1) || host.endsWith(domain)
+        : host === domain;
+    });
+  }
+
+  /**
+   * Returns href with the persisted tracking params added (existing params
+   * win), or href unchanged if it isn't a same-origin/allowlisted http(s) URL
+   * or decoration isn't active (no consent yet).
+   */
+  decorateUrl(href) {
+    if (!this.linkMergingInstalled) return href;
+
+    // Read on every call so consent changes apply immediately
+    const persisted = sessionStorage.getItem(
+      FORM_CONFIG.trackingParams.sessionStorageKey
+    );
+    if (!persisted) return href;
+
+    try {
+      const url = new URL(href, window.location.href);
+      if (!this.isDecoratableUrl(url)) {
         return href;
       }
-    };
+
+      const target = url.searchParams;
+      const src = new URLSearchParams(persisted);
+
+      src.forEach((val, key) => {
+        if (!target.has(key)) {
+          target.set(key, val);
+        }
+      });
+
+      url.search = target.toString();
+      return url.toString();
+    } catch (e) {
+      return href;
+    }
+  }
+
+  setupLinkParameterMerging() {
+    if (this.linkMergingInstalled) return;
+    this.linkMergingInstalled = true;
+
+    const { noPersistAttribute, sessionStorageKey } =
+      FORM_CONFIG.trackingParams;
 
     const closestAnchor = (el) => {
       while (el && el !== document && el.nodeType === 1) {
@@ -152,7 +861,7 @@ class RSBFormHandler {
 
     const handleClick = (ev) => {
       const a = closestAnchor(ev.target);
-      if (!a) return;
+      if (!a || a.closest(`[${noPersistAttribute}]`)) return;
 
       const href = a.getAttribute("href");
       if (
@@ -164,101 +873,837 @@ class RSBFormHandler {
       )
         return;
 
-      const merged = mergeQuery(href);
+      const merged = this.decorateUrl(href);
       if (merged !== href) {
         a.setAttribute("href", merged);
       }
     };
 
+    // GET forms (site search, filters) rebuild the query from their fields,
+    // so the params travel as hidden inputs instead
+    const handleSubmit = (ev) => {
+      const form = ev.target;
+      if (
+        !form ||
+        form.tagName !== "FORM" ||
+        form.hasAttribute(FORM_CONFIG.formIdAttribute) ||
+        form.closest(`[${noPersistAttribute}]`) ||
+        (form.getAttribute("method") || "get").toLowerCase() !== "get"
+      ) {
+        return;
+      }
+
+      let action;
+      try {
+        action = new URL(
+          form.getAttribute("action") || "",
+          window.location.href
+        );
+      } catch (e) {
+        return;
+      }
+      if (!this.isDecoratableUrl(action)) return;
+
+      const persisted = sessionStorage.getItem(sessionStorageKey);
+      new URLSearchParams(persisted || "").forEach((value, key) => {
+        if (form.querySelector(`[name="${key}"]`)) return;
+
+        const field = document.createElement("input");
+        field.type = "hidden";
+        field.name = key;
+        field.value = value;
+        field.setAttribute("data-tracking-param", "true");
+        form.appendChild(field);
+      });
+    };
+
     document.addEventListener("click", handleClick, true);
     document.addEventListener("auxclick", handleClick, true);
+    document.addEventListener("submit", handleSubmit, true);
+
+    const originalOpen = window.open;
+    if (typeof originalOpen === "function") {
+      window.open = (url, ...rest) => {
+        // window.open("", name) targets an existing window and about:blank
+        // opens an empty one; resolving either would load the current page
+        const href = url instanceof URL ? url.href : url;
+        const decorated =
+          typeof href === "string" && href.trim() && !/^\s*about:/i.test(href)
+            ? this.decorateUrl(href)
+            : url;
+        return originalOpen.call(window, decorated, ...rest);
+      };
+    }
   }
 
-  init() {
-    const start = () => this.setupForms();
-
-    if (document.readyState === "loading") {
-      document.addEventListener("DOMContentLoaded", () =>
-        this.waitForWebflow(start)
-      );
-    } else {
-      this.waitForWebflow(start);
-    }
+  /**
+   * Subscribe to form lifecycle events: "before-submit", "success", "error",
+   * "validation-failed", "step-change" and "gated-unlock". The same events
+   * are dispatched on the form element as bubbling DOM CustomEvents prefixed
+   * with "rsb:".
+   * Callbacks receive (detail, event); a "before-submit" callback may mutate
+   * or replace detail.payload, and cancels by returning false or calling
+   * event.preventDefault(). Returns an unsubscribe function.
+   */
+  on(eventName, callback) {
+    const name = eventName.replace(/^rsb:/, "");
+    (this.listeners[name] = this.listeners[name] || []).push(callback);
+    return () => this.off(name, callback);
   }
 
-  waitForWebflow(callback) {
-    const runCallback = () => {
-      setTimeout(callback, 100);
-    };
+  off(eventName, callback) {
+    const name = eventName.replace(/^rsb:/, "");
+    if (!this.listeners[name]) return;
+    this.listeners[name] = this.listeners[name].filter((cb) => cb !== callback);
+  }
 
-    if (window.Webflow && typeof window.Webflow.push === "function") {
-      window.Webflow.push(runCallback);
-      return;
-    }
+  emit(config, name, data, cancelable = false) {
+    const detail = Object.assign(data, {
+      formId: config.formId,
+      form: config.formElement,
+    });
+    const event = new CustomEvent(`rsb:${name}`, {
+      bubbles: true,
+      cancelable,
+      detail,
+    });
+    config.formElement.dispatchEvent(event);
 
-    if (Array.isArray(window.Webflow)) {
-      window.Webflow.push(runCallback);
-      return;
-    }
+    let cancelled = event.defaultPrevented;
+    (this.listeners[name] || []).slice().forEach((callback) => {
+      try {
+        if (callback(detail, event) === false) cancelled = true;
+      } catch (e) {
+        this.warn(`rsb:${name} listener failed`, e);
+      }
+    });
 
-    setTimeout(callback, 100);
+    return !(cancelable && (cancelled || event.defaultPrevented));
   }
 
-  setupForms() {
-    const formElements = document.querySelectorAll(FORM_CONFIG.formSelector);
-    this.log(`Found ${formElements.length} forms with cf-form attribute`);
+  getPersistedTrackingParams() {
+    const params = {};
+    if (!FORM_CONFIG.trackingParams.enabled) return params;
 
-    formElements.forEach((formElement) => {
-      this.setupSingleForm(formElement);
+    const persisted = sessionStorage.getItem(
+      FORM_CONFIG.trackingParams.sessionStorageKey
+    );
+    new URLSearchParams(persisted || "").forEach((value, key) => {
+      params[key] = value;
     });
+    return params;
   }
 
-  setupSingleForm(formElement) {
-    const config = {
-      formId: formElement.getAttribute(FORM_CONFIG.formIdAttribute),
-      formUrl: formElement.getAttribute(FORM_CONFIG.formUrlAttribute),
-      redirectUrl: formElement.getAttribute(FORM_CONFIG.redirectUrlAttribute),
-      turnstileSiteKey: formElement.getAttribute(
-        FORM_CONFIG.turnstileSiteKeyAttribute
-      ),
-      formElement: formElement,
-      submitButton: formElement.querySelector(FORM_CONFIG.submitButtonSelector),
-      submitLabel: formElement.querySelector(FORM_CONFIG.submitLabelSelector),
-      errorElement: formElement.querySelector(FORM_CONFIG.errorElementSelector),
-      errorText: formElement.querySelector(FORM_CONFIG.errorTextSelector),
-    };
+  pushDataLayerEvent(config, key, data = {}) {
+    const eventName = FORM_CONFIG.dataLayer.events[key];
+    if (!FORM_CONFIG.dataLayer.enabled || !eventName) return;
+
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push(
+      Object.assign(
+        {
+          event: eventName,
+          formId: config.formId,
+          trackingParams: this.getPersistedTrackingParams(),
+        },
+        data
+      )
+    );
+    this.log(`[dataLayer] pushed ${eventName}`, data);
+  }
 
-    if (!config.formUrl) {
-      this.warn(`Form ${config.formId} missing cf-form-url attribute`);
-      return;
+  setupFunnelTracking(config) {
+    if (!FORM_CONFIG.dataLayer.enabled) return;
+
+    const { signal } = config.listenerController;
+    config.started = false;
+    config.submitted = false;
+    config.lastField = null;
+
+    if ("IntersectionObserver" in window) {
+      const observer = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) {
+            observer.disconnect();
+            this.pushDataLayerEvent(config, "view");
+          }
+        },
+        { threshold: FORM_CONFIG.dataLayer.viewThreshold }
+      );
+      observer.observe(config.formElement);
+      config.viewObserver = observer;
+    } else {
+      this.pushDataLayerEvent(config, "view");
     }
 
-    this.forms.push(config);
+    const trackInteraction = (event) => {
+      const field = event.target;
+      if (!field.name || field.getAttribute("data-honeypot") === "true") {
+        return;
+      }
 
-    this.setupHoneypot(config);
-    this.setupTurnstile(config);
-    this.setupTrackingParams(config);
-    this.setupFormSubmission(config);
-    this.setupAutoResetOnEdit(config);
+      config.lastField = field.name;
+      if (!config.started) {
+        config.started = true;
+        this.pushDataLayerEvent(config, "start", { field: field.name });
+      }
+    };
+    config.formElement.addEventListener("focusin", trackInteraction, {
+      signal,
+    });
+    config.formElement.addEventListener("input", trackInteraction, { signal });
+
+    // Report the last touched field when a started form is left unsent
+    window.addEventListener(
+      "pagehide",
+      () => {
+        if (!config.started || config.submitted || config.abandonReported) {
+          return;
+        }
+        config.abandonReported = true;
+        this.pushDataLayerEvent(config, "abandon", { field: config.lastField });
+      },
+      { signal }
+    );
   }
 
-  setupHoneypot(config) {
-    if (!FORM_CONFIG.enableHoneypot) return;
+  initOfflineQueue() {
+    if (!FORM_CONFIG.offlineQueue.enabled) return;
 
-    const existingHoneypot = config.formElement.querySelector(
-      'input[data-honeypot="true"]'
+    window.addEventListener("online", () => this.processQueue());
+    this.processQueue();
+  }
+
+  generateIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === "function") {
+      return window.crypto.randomUUID();
+    }
+    return (
+      Date.now().toString(36) +
+      "-" +
+      Math.random().toString(36).slice(2, 10) +
+      Math.random().toString(36).slice(2, 10)
     );
-    if (existingHoneypot) return;
+  }
 
-    const randomFieldName =
-      FORM_CONFIG.honeypotFieldNames[
-        Math.floor(Math.random() * FORM_CONFIG.honeypotFieldNames.length)
-      ];
+  readQueue() {
+    try {
+      const queue = JSON.parse(
+        localStorage.getItem(FORM_CONFIG.offlineQueue.storageKey)
+      );
+      return Array.isArray(queue) ? queue : [];
+    } catch (e) {
+      return [];
+    }
+  }
 
-    const honeypotField = document.createElement("input");
-    honeypotField.type = "text";
-    honeypotField.name = randomFieldName;
-    honeypotField.setAttribute("data-honeypot", "true");
+  writeQueue(queue) {
+    try {
+      if (queue.length) {
+        localStorage.setItem(
+          FORM_CONFIG.offlineQueue.storageKey,
+          JSON.stringify(queue)
+        );
+      } else {
+        localStorage.removeItem(FORM_CONFIG.offlineQueue.storageKey);
+      }
+      return true;
+    } catch (e) {
+      this.warn("Could not persist offline submission queue", e);
+      return false;
+    }
+  }
+
+  getRetryDelay(attempts) {
+    const { baseRetryDelay, maxRetryDelay } = FORM_CONFIG.offlineQueue;
+    return Math.min(baseRetryDelay * Math.pow(2, attempts), maxRetryDelay);
+  }
+
+  // Returns the message key to show ("queued" or
+  // "queuedWithoutAttachments"), or false if nothing could be stored.
+  // `turnstile` ({ sitekey, action, language }) lets the replay fetch a
+  // fresh token, since the one in the payload expires within minutes.
+  enqueueSubmission(workerUrl, payload, turnstile = null) {
+    if (!FORM_CONFIG.offlineQueue.enabled) return false;
+
+    const stored = Object.assign({}, payload, { turnstileToken: null });
+    if (this.storeQueueEntry(workerUrl, stored, turnstile)) return "queued";
+
+    // Base64 attachments easily exceed the storage quota; keep the lead
+    const withoutFiles = this.stripAttachments(stored);
+    if (
+      withoutFiles &&
+      this.storeQueueEntry(workerUrl, withoutFiles, turnstile)
+    ) {
+      return "queuedWithoutAttachments";
+    }
+    return false;
+  }
+
+  storeQueueEntry(workerUrl, payload, turnstile) {
+    const queue = this.readQueue().filter(
+      (entry) => entry.id !== payload.idempotencyKey
+    );
+    const now = Date.now();
+    queue.push({
+      id: payload.idempotencyKey,
+      workerUrl,
+      payload,
+      turnstile,
+      queuedAt: now,
+      attempts: 0,
+      nextAttemptAt: now + this.getRetryDelay(0),
+    });
+
+    if (!this.writeQueue(queue)) return false;
+
+    this.log(`Queued submission ${payload.idempotencyKey} for retry`);
+    this.scheduleQueueRetry(queue);
+    return true;
+  }
+
+  // Copy of the payload with file contents removed (names, types and sizes
+  // stay), or null if it has no attachments
+  stripAttachments(payload) {
+    let stripped = false;
+    const formData = {};
+
+    Object.entries(payload.formData || {}).forEach(([name, value]) => {
+      const isFileList =
+        Array.isArray(value) &&
+        value.some((item) => item && typeof item.content === "string");
+      if (!isFileList) {
+        formData[name] = value;
+        return;
+      }
+
+      stripped = true;
+      formData[name] = value.map(({ content, ...file }) => file);
+    });
+
+    if (!stripped) return null;
+
+    formData.metadata = Object.assign({}, formData.metadata, {
+      attachmentsOmitted: true,
+    });
+    return Object.assign({}, payload, { formData });
+  }
+
+  // Queued entries are replayed long after their token expired
+  async getQueuedPayload(entry) {
+    if (!entry.turnstile) return entry.payload;
+
+    try {
+      const turnstileToken =
+        window.cfCore || document.querySelector('script[src*="cf-core"]')
+          ? await (await this.loadCore()).getToken(entry.turnstile)
+          : await this.getTokenWithoutCore(entry.turnstile);
+      return Object.assign({}, entry.payload, { turnstileToken });
+    } catch (error) {
+      error.isTokenError = true;
+      throw error;
+    }
+  }
+
+  // cfCore.getToken() for pages using the Turnstile fallback: a one-off
+  // widget mounted off-screen, removed once it produced a token
+  async getTokenWithoutCore({ sitekey, action, language }) {
+    const turnstile = await this.loadTurnstileScript();
+
+    return new Promise((resolve, reject) => {
+      const mount = document.createElement("div");
+      mount.style.cssText = "position:absolute;left:-9999px;top:-9999px;";
+      document.body.appendChild(mount);
+
+      let widgetId = null;
+      let settled = false;
+      const finish = (error, token) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        try {
+          if (widgetId !== null) turnstile.remove(widgetId);
+        } catch (e) {
+          // widget already gone
+        }
+        mount.remove();
+        if (error) reject(error);
+        else resolve(token);
+      };
+      const timer = setTimeout(
+        () => finish(new Error("Turnstile token timed out")),
+        FORM_CONFIG.coreTimeout
+      );
+
+      try {
+        widgetId = turnstile.render(mount, {
+          sitekey,
+          action,
+          language,
+          appearance: "interaction-only",
+          callback: (token) => finish(null, token),
+          "error-callback": (code) => {
+            finish(new Error(`Turnstile error ${code}`));
+            return true;
+          },
+        });
+      } catch (error) {
+        finish(error);
+      }
+    });
+  }
+
+  scheduleQueueRetry(queue) {
+    clearTimeout(this.queueTimer);
+    if (!queue.length) return;
+
+    const nextAttemptAt = Math.min(
+      ...queue.map((entry) => entry.nextAttemptAt)
+    );
+    this.queueTimer = setTimeout(
+      () => this.processQueue(),
+      Math.max(nextAttemptAt - Date.now(), 0)
+    );
+  }
+
+  async processQueue() {
+    if (this.queueProcessing) return;
+    if (navigator.onLine === false) return;
+
+    const { maxAttempts, maxAge } = FORM_CONFIG.offlineQueue;
+    this.queueProcessing = true;
+
+    try {
+      const now = Date.now();
+      const entries = this.readQueue();
+      const remaining = [];
+
+      for (const entry of entries) {
+        if (now - entry.queuedAt > maxAge) {
+          this.warn(`Dropping expired queued submission ${entry.id}`);
+          continue;
+        }
+        if (entry.nextAttemptAt > now) {
+          remaining.push(entry);
+          continue;
+        }
+
+        let retryAfter = null;
+        try {
+          const payload = await this.getQueuedPayload(entry);
+          const { status, headers, result } = await this.postSubmission(
+            entry.workerUrl,
+            payload
+          );
+
+          if (result && result.success) {
+            this.log(`Delivered queued submission ${entry.id}`);
+            continue;
+          }
+
+          // Outages, rate limits and captcha failures are worth another
+          // try; any other answer means the Worker won't take it
+          const code = result?.error?.code;
+          if (
+            status < 500 &&
+            status !== 429 &&
+            code !== "rate_limited" &&
+            code !== "captcha_failed" &&
+            result
+          ) {
+            this.warn(`Queued submission ${entry.id} was rejected`, result);
+            continue;
+          }
+          if (status === 429) {
+            retryAfter = this.parseRetryAfter(headers.get("Retry-After"));
+          }
+        } catch (error) {
+          if (!error.isNetworkError && !error.isTokenError) {
+            this.warn(`Queued submission ${entry.id} failed`, error);
+            continue;
+          }
+        }
+
+        entry.attempts += 1;
+        if (entry.attempts >= maxAttempts) {
+          this.warn(`Giving up on queued submission ${entry.id}`);
+          continue;
+        }
+        entry.nextAttemptAt =
+          Date.now() +
+          Math.max(retryAfter || 0, this.getRetryDelay(entry.attempts));
+        remaining.push(entry);
+      }
+
+      // Keep anything queued (e.g. by another submit) while we were sending.
+      const processedIds = new Set(entries.map((entry) => entry.id));
+      const queue = remaining.concat(
+        this.readQueue().filter((entry) => !processedIds.has(entry.id))
+      );
+
+      this.writeQueue(queue);
+      this.scheduleQueueRetry(queue);
+    } finally {
+      this.queueProcessing = false;
+    }
+  }
+
+  async postSubmission(workerUrl, payload, signal) {
+    let response;
+    try {
+      response = await fetch(workerUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(payload),
+        signal,
+      });
+    } catch (error) {
+      error.isNetworkError = true;
+      throw error;
+    }
+
+    // Proxies and outages answer with HTML; treat that as "no result"
+    // Reading the body can still be aborted; that must not look like HTML
+    const body = await response.text();
+    let result = null;
+    try {
+      result = JSON.parse(body);
+    } catch (e) {
+      this.warn(`Non-JSON response from Worker (${response.status})`);
+    }
+
+    return { status: response.status, headers: response.headers, result };
+  }
+
+  init() {
+    const start = () => this.setupForms();
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () =>
+        this.waitForWebflow(start)
+      );
+    } else {
+      this.waitForWebflow(start);
+    }
+  }
+
+  waitForWebflow(callback) {
+    const runCallback = () => {
+      setTimeout(callback, 100);
+    };
+
+    if (window.Webflow && typeof window.Webflow.push === "function") {
+      window.Webflow.push(runCallback);
+      return;
+    }
+
+    if (Array.isArray(window.Webflow)) {
+      window.Webflow.push(runCallback);
+      return;
+    }
+
+    setTimeout(callback, 100);
+  }
+
+  setupForms() {
+    const formElements = document.querySelectorAll(FORM_CONFIG.formSelector);
+    this.log(`Found ${formElements.length} forms with cf-form attribute`);
+
+    formElements.forEach((formElement) => {
+      this.setupSingleForm(formElement);
+    });
+
+    this.observeForms();
+  }
+
+  /**
+   * Picks up forms added later (Webflow modals and tabs, CMS content,
+   * popups injected by other scripts) and tears down forms that are removed.
+   */
+  observeForms() {
+    if (this.formObserver || !("MutationObserver" in window)) return;
+
+    const touchesForms = (nodes) =>
+      Array.from(nodes).some(
+        (node) =>
+          node.nodeType === 1 &&
+          (node.matches(FORM_CONFIG.formSelector) ||
+            node.querySelector(FORM_CONFIG.formSelector))
+      );
+
+    this.formObserver = new MutationObserver((mutations) => {
+      const changed = mutations.some(
+        (mutation) =>
+          touchesForms(mutation.addedNodes) ||
+          touchesForms(mutation.removedNodes)
+      );
+      if (changed) this.refresh();
+    });
+
+    this.formObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+    });
+  }
+
+  getFormConfig(formElement) {
+    return this.forms.find((config) => config.formElement === formElement);
+  }
+
+  /**
+   * Sets up any cf-form forms not yet handled and destroys handlers whose
+   * forms have left the DOM. Safe to call at any time.
+   */
+  refresh() {
+    this.forms
+      .filter((config) => !config.formElement.isConnected)
+      .forEach((config) => this.destroy(config.formElement));
+
+    document.querySelectorAll(FORM_CONFIG.formSelector).forEach((form) => {
+      this.setupSingleForm(form);
+    });
+  }
+
+  /**
+   * Removes the handler's listeners, Turnstile widget and injected elements
+   * (honeypot, tracking and attribution inputs, field error text, the
+   * download link) from a form, puts the original submit button and the
+   * attributes and inline styles it changed back, clears field errors and
+   * shows all steps and conditionally hidden fields again. Returns false if
+   * the form wasn't set up.
+   */
+  destroy(formElement) {
+    const config = this.getFormConfig(formElement);
+    if (!config) return false;
+
+    this.forms = this.forms.filter((entry) => entry !== config);
+    config.listenerController.abort();
+    if (config.submitController) config.submitController.abort();
+    if (config.viewObserver) config.viewObserver.disconnect();
+
+    if (config.turnstileWidgetId !== null && window.turnstile) {
+      try {
+        window.turnstile.remove(config.turnstileWidgetId);
+      } catch (e) {
+        // widget already gone
+      }
+    }
+    if (config.turnstileContainer) config.turnstileContainer.remove();
+
+    formElement
+      .querySelectorAll(
+        '[data-honeypot="true"], [data-tracking-param="true"], [data-attribution-param="true"]'
+      )
+      .forEach((field) => field.remove());
+
+    if (config.originalSubmitButton && config.submitButton?.parentNode) {
+      config.submitButton.replaceWith(config.originalSubmitButton);
+    }
+
+    if (config.steps) {
+      const { navAttribute, currentStepAttribute } = FORM_CONFIG.steps;
+      config.steps.forEach((step) =>
+        step.classList.remove(FORM_CONFIG.hideClass)
+      );
+      formElement
+        .querySelectorAll(`[${navAttribute}]`)
+        .forEach((control) => control.classList.remove(FORM_CONFIG.hideClass));
+      formElement.removeAttribute(currentStepAttribute);
+    }
+
+    // Everything setConditionalVisibility() hid or disabled
+    const { attribute, disabledMarkerAttribute } = FORM_CONFIG.conditional;
+    formElement
+      .querySelectorAll(
+        [
+          attribute,
+          FORM_CONFIG.gatedContent.knownHideAttribute,
+          FORM_CONFIG.progressiveProfiling.attribute,
+        ]
+          .map((rule) => `[${rule}]`)
+          .join(", ")
+      )
+      .forEach((element) => element.classList.remove(FORM_CONFIG.hideClass));
+    formElement
+      .querySelectorAll(`[${disabledMarkerAttribute}]`)
+      .forEach((field) => {
+        field.disabled = false;
+        field.removeAttribute(disabledMarkerAttribute);
+      });
+
+    // Field errors, including required custom selects which
+    // validateCustomSelects() marks without tracking them in fieldErrors
+    if (config.fieldErrors) {
+      Array.from(config.fieldErrors.keys()).forEach((field) =>
+        this.clearFieldError(config, field)
+      );
+    }
+    formElement.querySelectorAll("[cf-form-select]").forEach((select) => {
+      const wrapper = select.closest(".form-field-wrapper");
+      if (!wrapper) return;
+      const errorTexts = wrapper.querySelectorAll(".form-field_error-text");
+      errorTexts.forEach((el) => el.classList.add(FORM_CONFIG.hideClass));
+      this.setFieldAriaError(select, errorTexts[0], false);
+    });
+    formElement
+      .querySelectorAll(`[${FORM_CONFIG.validation.errorElementAttribute}]`)
+      .forEach((element) => element.remove());
+    // Ids setFieldAriaError() gave the page's own error text
+    formElement
+      .querySelectorAll('[id^="cf-error-"]')
+      .forEach((element) => element.removeAttribute("id"));
+    this.hideError(config);
+
+    if (config.createdDownloadLink) config.createdDownloadLink.remove();
+
+    clearTimeout(config.draftTimer);
+    formElement.removeAttribute(FORM_CONFIG.stateAttribute);
+
+    // Restored last to first so an attribute saved twice ends up with the
+    // value it had before setup
+    config.savedAttributes
+      .slice()
+      .reverse()
+      .forEach(([element, name, value]) => {
+        if (value === null) element.removeAttribute(name);
+        else element.setAttribute(name, value);
+      });
+
+    this.log(`Destroyed form ${config.formId}`);
+    return true;
+  }
+
+  readFormOptions(formElement) {
+    const formId = formElement.getAttribute(FORM_CONFIG.formIdAttribute);
+    const { formConfigAttribute, formOptionAttributes } = FORM_CONFIG;
+    const jsonSelector = 'script[type="application/json"]';
+
+    const block =
+      formElement.querySelector(`${jsonSelector}[${formConfigAttribute}]`) ||
+      Array.from(
+        document.querySelectorAll(`${jsonSelector}[${formConfigAttribute}]`)
+      ).find((el) => formId && el.getAttribute(formConfigAttribute) === formId);
+
+    let options = {};
+    if (block) {
+      try {
+        options = JSON.parse(block.textContent) || {};
+      } catch (e) {
+        this.warn(`Invalid ${formConfigAttribute} JSON for form ${formId}`, e);
+      }
+    }
+
+    Object.entries(formOptionAttributes).forEach(([key, attribute]) => {
+      if (formElement.hasAttribute(attribute)) {
+        options[key] = formElement.getAttribute(attribute);
+      }
+    });
+
+    return options;
+  }
+
+  setupSingleForm(formElement) {
+    // Already handled (e.g. by refresh() or the observer)
+    if (this.getFormConfig(formElement)) return;
+
+    const options = this.readFormOptions(formElement);
+    const redirectDelay = parseInt(options.redirectDelay, 10);
+    const minFillTime = parseInt(options.minFillTime, 10);
+
+    const config = {
+      formId: formElement.getAttribute(FORM_CONFIG.formIdAttribute),
+      formUrl: formElement.getAttribute(FORM_CONFIG.formUrlAttribute),
+      redirectUrl:
+        formElement.getAttribute(FORM_CONFIG.redirectUrlAttribute) ||
+        options.redirectUrl ||
+        null,
+      redirectDelay:
+        redirectDelay >= 0 ? redirectDelay : FORM_CONFIG.redirectDelay,
+      workerUrl: options.workerUrl || this.workerUrl,
+      honeypot:
+        options.honeypot === undefined
+          ? FORM_CONFIG.enableHoneypot
+          : String(options.honeypot) !== "false",
+      successMessage: options.successMessage || null,
+      assetUrl: options.assetUrl || null,
+      locale: this.resolveLocale(formElement),
+      messages: Object.assign(
+        {},
+        options.messages,
+        options.loadingText ? { loading: options.loadingText } : {}
+      ),
+      returningVisitor:
+        options.returningVisitor || FORM_CONFIG.gatedContent.returningVisitor,
+      progressiveProfiling:
+        options.progressiveProfiling === undefined
+          ? FORM_CONFIG.progressiveProfiling.enabled
+          : String(options.progressiveProfiling) !== "false",
+      progressiveLimit: parseInt(options.progressiveLimit, 10) || Infinity,
+      drafts:
+        options.drafts === undefined
+          ? FORM_CONFIG.drafts.enabled
+          : String(options.drafts) !== "false",
+      minFillTime:
+        minFillTime >= 0 ? minFillTime : FORM_CONFIG.botSignals.minFillTime,
+      turnstileSiteKey: formElement.getAttribute(
+        FORM_CONFIG.turnstileSiteKeyAttribute
+      ),
+      turnstileMode:
+        formElement.getAttribute(FORM_CONFIG.turnstileModeAttribute) ||
+        "managed",
+      formElement: formElement,
+      submitButton: formElement.querySelector(FORM_CONFIG.submitButtonSelector),
+      submitLabel: formElement.querySelector(FORM_CONFIG.submitLabelSelector),
+      errorElement: formElement.querySelector(FORM_CONFIG.errorElementSelector),
+      errorText: formElement.querySelector(FORM_CONFIG.errorTextSelector),
+      // Aborted by destroy() to drop every listener the handler added
+      listenerController: new AbortController(),
+      // [element, name, value] for every attribute destroy() puts back
+      savedAttributes: [],
+    };
+
+    if (!config.formUrl) {
+      this.warn(`Form ${config.formId} missing cf-form-url attribute`);
+      return;
+    }
+
+    this.forms.push(config);
+
+    this.setupHoneypot(config);
+    this.setupBotSignals(config);
+    this.setupTurnstile(config);
+    this.setupTrackingParams(config);
+    this.setupFormSubmission(config);
+    this.setupAccessibility(config);
+    this.setupFieldValidation(config);
+    this.setupDrafts(config);
+    this.setupProgressiveProfiling(config);
+    this.setupConditionalFields(config);
+    this.setupGatedContent(config);
+    this.setupSteps(config);
+    this.setupFunnelTracking(config);
+    this.setupAutoResetOnEdit(config);
+  }
+
+  setupHoneypot(config) {
+    if (!config.honeypot) return;
+
+    const existingHoneypot = config.formElement.querySelector(
+      'input[data-honeypot="true"]'
+    );
+    if (existingHoneypot) return;
+
+    const randomFieldName =
+      FORM_CONFIG.honeypotFieldNames[
+        Math.floor(Math.random() * FORM_CONFIG.honeypotFieldNames.length)
+      ];
+
+    const honeypotField = document.createElement("input");
+    honeypotField.type = "text";
+    honeypotField.name = randomFieldName;
+    honeypotField.setAttribute("data-honeypot", "true");
     honeypotField.setAttribute("tabindex", "-1");
     honeypotField.setAttribute("autocomplete", "off");
     honeypotField.style.cssText = `
@@ -278,13 +1723,86 @@ class RSBFormHandler {
     );
   }
 
+  setupBotSignals(config) {
+    if (!FORM_CONFIG.botSignals.enabled) return;
+
+    const { signal } = config.listenerController;
+    const signals = {
+      setupAt: performance.now(),
+      firstInteractionAt: null,
+      keystrokes: 0,
+      pastes: 0,
+      pointerMoves: 0,
+      pointerDowns: 0,
+      focusChanges: 0,
+    };
+    config.botSignals = signals;
+
+    const count = (key, interaction) => (event) => {
+      // Bots filling the honeypot don't get credit for the activity
+      if (event.target.getAttribute?.("data-honeypot") === "true") return;
+
+      signals[key]++;
+      if (interaction && signals.firstInteractionAt === null) {
+        signals.firstInteractionAt = performance.now();
+      }
+    };
+
+    const form = config.formElement;
+    form.addEventListener("keydown", count("keystrokes", true), { signal });
+    form.addEventListener("paste", count("pastes", true), { signal });
+    form.addEventListener("pointerdown", count("pointerDowns", true), {
+      signal,
+    });
+    form.addEventListener("focusin", count("focusChanges", true), { signal });
+    form.addEventListener("pointermove", count("pointerMoves", false), {
+      signal,
+    });
+  }
+
+  // Milliseconds the visitor has spent filling the form so far
+  getFillTime(config) {
+    const signals = config.botSignals;
+    return performance.now() - (signals.firstInteractionAt ?? signals.setupAt);
+  }
+
+  getBotSignals(config) {
+    const signals = config.botSignals;
+    if (!signals) return null;
+
+    return {
+      timeToFirstInteraction:
+        signals.firstInteractionAt === null
+          ? null
+          : Math.round(signals.firstInteractionAt - signals.setupAt),
+      fillTime: Math.round(this.getFillTime(config)),
+      timeOnPage: Math.round(performance.now()),
+      keystrokes: signals.keystrokes,
+      pastes: signals.pastes,
+      pointerMoves: signals.pointerMoves,
+      pointerDowns: signals.pointerDowns,
+      focusChanges: signals.focusChanges,
+    };
+  }
+
+  // Epoch ms of the load event (0 until it fired), as performance.timing's
+  // loadEventEnd used to report
+  getPageLoadTime() {
+    const [navigation] = performance.getEntriesByType?.("navigation") || [];
+    if (!navigation || !navigation.loadEventEnd) return 0;
+    return Math.round(performance.timeOrigin + navigation.loadEventEnd);
+  }
+
   setupTurnstile(config) {
     if (!config.turnstileSiteKey) return;
 
     const container = document.createElement("div");
-    container.className = "cf-turnstile";
-    container.setAttribute("data-sitekey", config.turnstileSiteKey);
-    container.style.marginBottom = "15px";
+    // Deliberately not "cf-turnstile": an implicitly loaded api.js on the
+    // page would auto-render that class a second time.
+    container.className = "cf-turnstile-container";
+    if (config.turnstileMode !== "invisible") {
+      container.style.marginBottom = "15px";
+    }
 
     if (config.submitButton) {
       config.submitButton.parentNode.insertBefore(
@@ -295,198 +1813,1514 @@ class RSBFormHandler {
       config.formElement.appendChild(container);
     }
 
+    config.turnstileContainer = container;
+    config.turnstileToken = null;
+    config.turnstileWidgetId = null;
+
+    // Without cf-core.js the widget would never render and every submit
+    // would fail the captcha check
+    if (!window.cfCore && !document.querySelector('script[src*="cf-core"]')) {
+      this.warn(
+        `cf-core.js is not on this page; loading Turnstile directly for ${config.formId}`
+      );
+      this.setupTurnstileFallback(config);
+      return;
+    }
+
+    this.loadCore()
+      .then((core) => {
+        if (
+          config.turnstileMode !== "invisible" &&
+          core.hasVerifiedSession(core.verifiedCookieName)
+        ) {
+          this.log(`Verified session; ${config.formId} captcha is invisible`);
+          config.turnstileMode = "invisible";
+          container.style.marginBottom = "";
+        }
+
+        return core.load().then((turnstile) => {
+          // Invisible tokens are fetched on demand in getTurnstileToken
+          if (
+            config.turnstileMode !== "invisible" &&
+            !config.listenerController.signal.aborted
+          ) {
+            this.renderTurnstile(config, turnstile);
+          }
+        });
+      })
+      .catch((error) => {
+        if (window.cfCore) {
+          this.warn("Turnstile failed to load", error);
+          return;
+        }
+        this.warn(
+          `cf-core.js did not load; loading Turnstile directly for ${config.formId}`,
+          error
+        );
+        this.setupTurnstileFallback(config);
+      });
+  }
+
+  setupTurnstileFallback(config) {
+    config.turnstileMode = "managed";
+    config.turnstileContainer.style.marginBottom = "15px";
+
+    this.loadTurnstileScript()
+      .then((turnstile) => {
+        if (!config.listenerController.signal.aborted) {
+          this.renderTurnstile(config, turnstile);
+        }
+      })
+      .catch((error) => {
+        this.warn("Turnstile failed to load", error);
+      });
+  }
+
+  // Stand-in for cfCore.load() on pages without cf-core.js
+  loadTurnstileScript() {
+    if (this.turnstilePromise) return this.turnstilePromise;
+
+    this.turnstilePromise = new Promise((resolve, reject) => {
+      if (
+        !window.turnstile &&
+        !document.querySelector(
+          'script[src^="https://challenges.cloudflare.com/turnstile"]'
+        )
+      ) {
+        const script = document.createElement("script");
+        script.src = FORM_CONFIG.turnstile.scriptUrl;
+        script.async = true;
+        script.defer = true;
+        document.head.appendChild(script);
+      }
+
+      const startedAt = Date.now();
+      const waitForTurnstile = () => {
+        if (window.turnstile) {
+          resolve(window.turnstile);
+        } else if (Date.now() - startedAt > FORM_CONFIG.coreTimeout) {
+          this.turnstilePromise = null;
+          reject(new Error("Turnstile script did not load"));
+        } else {
+          setTimeout(waitForTurnstile, 50);
+        }
+      };
+      waitForTurnstile();
+    });
+
+    return this.turnstilePromise;
+  }
+
+  loadCore() {
+    if (this.corePromise) return this.corePromise;
+
+    this.corePromise = new Promise((resolve, reject) => {
+      if (window.cfCore) {
+        resolve(window.cfCore);
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.corePromise = null;
+        reject(new Error("cf-core.js is not loaded on this page"));
+      }, FORM_CONFIG.coreTimeout);
+
+      document.addEventListener(
+        "cf-core:ready",
+        () => {
+          clearTimeout(timer);
+          resolve(window.cfCore);
+        },
+        { once: true }
+      );
+    });
+
+    return this.corePromise;
+  }
+
+  getTurnstileAction(config) {
+    // Turnstile actions allow up to 32 alphanumerics, "_" and "-"
+    return (config.formId || "form").replace(/[^\w-]/g, "_").slice(0, 32);
+  }
+
+  renderTurnstile(config, turnstile) {
+    config.turnstileWidgetId = turnstile.render(config.turnstileContainer, {
+      sitekey: config.turnstileSiteKey,
+      action: this.getTurnstileAction(config),
+      language: this.getTurnstileLanguage(config),
+      callback: (token) => {
+        config.turnstileToken = token;
+      },
+      "expired-callback": () => {
+        config.turnstileToken = null;
+        this.log(`Turnstile token expired for ${config.formId}`);
+        this.showError(config, this.getMessage(config, "captchaExpired"));
+        this.resetTurnstile(config);
+      },
+      "error-callback": (code) => {
+        config.turnstileToken = null;
+        this.warn(`Turnstile error for ${config.formId}`, code);
+        this.showError(config, this.getMessage(config, "captchaFailed"));
+        // Tells Turnstile the error was handled
+        return true;
+      },
+    });
+  }
+
+  resetTurnstile(config) {
+    config.turnstileToken = null;
+    if (config.turnstileWidgetId === null || !window.turnstile) return;
+
+    try {
+      window.turnstile.reset(config.turnstileWidgetId);
+    } catch (e) {
+      this.warn("Turnstile reset failed", e);
+    }
+  }
+
+  getTurnstileToken(config) {
+    if (!config.turnstileSiteKey) return Promise.resolve(null);
+    if (config.turnstileToken) return Promise.resolve(config.turnstileToken);
+    if (config.turnstileMode !== "invisible") {
+      return Promise.reject(new Error("Turnstile not completed"));
+    }
+
+    return this.loadCore().then((core) =>
+      core.getToken({
+        sitekey: config.turnstileSiteKey,
+        action: this.getTurnstileAction(config),
+        language: this.getTurnstileLanguage(config),
+        container: config.turnstileContainer,
+      })
+    );
+  }
+
+  setupTrackingParams(config) {
+    if (!FORM_CONFIG.trackingParams.enabled) return;
+
+    this.setupAttributionFields(config);
+
+    const persistedParams = sessionStorage.getItem(
+      FORM_CONFIG.trackingParams.sessionStorageKey
+    );
+    const urlParams = new URLSearchParams(persistedParams || "");
+
+    // Drop fields whose params are no longer persisted (e.g. consent revoked)
+    config.formElement
+      .querySelectorAll('input[data-tracking-param="true"]')
+      .forEach((field) => {
+        if (!urlParams.has(field.name)) field.remove();
+      });
+
+    if (!persistedParams) return;
+
+    urlParams.forEach((value, key) => {
+      const isAllowed = FORM_CONFIG.trackingParams.allowPatterns.some(
+        (pattern) => pattern.test(key)
+      );
+
+      if (isAllowed) {
+        const existingField = config.formElement.querySelector(
+          `input[name="${key}"]`
+        );
+        if (existingField) return;
+
+        const trackingField = document.createElement("input");
+        trackingField.type = "hidden";
+        trackingField.name = key;
+        trackingField.value = value;
+        trackingField.setAttribute("data-tracking-param", "true");
+
+        config.formElement.insertBefore(
+          trackingField,
+          config.formElement.firstChild
+        );
+      }
+    });
+  }
+
+  setupFormSubmission(config) {
+    // The inline style covers the form being hidden on success or unlock
+    this.saveAttributes(config, config.formElement, [
+      "action",
+      "method",
+      "data-wf-ignore",
+      "style",
+      "aria-busy",
+    ]);
+    this.setFormState(config, "idle");
+    config.formElement.removeAttribute("action");
+    config.formElement.removeAttribute("method");
+    config.formElement.setAttribute("data-wf-ignore", "true");
+
+    const handleSubmit = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      event.stopImmediatePropagation();
+
+      this.attemptSubmit(config);
+      return false;
+    };
+
+    const { signal } = config.listenerController;
+    config.formElement.addEventListener("submit", handleSubmit, {
+      capture: true,
+      signal,
+    });
+    config.formElement.addEventListener("submit", handleSubmit, { signal });
+
+    if (config.submitButton) {
+      // The clone drops Webflow's listeners; destroy() restores the original
+      config.originalSubmitButton = config.submitButton;
+      const newButton = config.submitButton.cloneNode(true);
+      config.submitButton.parentNode.replaceChild(
+        newButton,
+        config.submitButton
+      );
+      config.submitButton = newButton;
+
+      // Update submitLabel reference if it was inside the button
+      if (FORM_CONFIG.submitLabelSelector) {
+        const newLabel = config.submitButton.querySelector(
+          FORM_CONFIG.submitLabelSelector
+        );
+        if (newLabel) {
+          config.submitLabel = newLabel;
+        }
+      }
+
+      config.submitButton.addEventListener(
+        "click",
+        (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          event.stopImmediatePropagation();
+
+          this.attemptSubmit(config);
+          return false;
+        },
+        { capture: true, signal }
+      );
+    }
+
+    // Disable Webflow success/fail
+    const webflowDone =
+      config.formElement.parentElement?.querySelector(".w-form-done");
+    const webflowFail =
+      config.formElement.parentElement?.querySelector(".w-form-fail");
+    if (webflowDone) this.saveAttributes(config, webflowDone, ["style"]);
+    if (webflowFail) this.saveAttributes(config, webflowFail, ["style"]);
+    if (webflowDone) webflowDone.style.display = "none";
+    if (webflowFail) webflowFail.style.display = "none";
+  }
+
+  // Form-level errors are announced immediately, success politely. The
+  // success panel takes focus once shown so screen readers read it.
+  setupAccessibility(config) {
+    if (config.errorElement) {
+      this.saveAttributes(config, config.errorElement, [
+        "role",
+        "aria-live",
+        "aria-atomic",
+      ]);
+      config.errorElement.setAttribute("role", "alert");
+      config.errorElement.setAttribute("aria-live", "assertive");
+      config.errorElement.setAttribute("aria-atomic", "true");
+    }
+
+    const webflowDone =
+      config.formElement.parentElement?.querySelector(".w-form-done");
+    if (webflowDone) {
+      this.saveAttributes(config, webflowDone, [
+        "role",
+        "aria-live",
+        "tabindex",
+      ]);
+      webflowDone.setAttribute("role", "status");
+      webflowDone.setAttribute("aria-live", "polite");
+      webflowDone.setAttribute("tabindex", "-1");
+    }
+  }
+
+  saveAttributes(config, element, names) {
+    names.forEach((name) => {
+      config.savedAttributes.push([element, name, element.getAttribute(name)]);
+    });
+  }
+
+  // Marks a field invalid and points aria-describedby at its error text,
+  // or undoes both
+  setFieldAriaError(field, errorElement, invalid) {
+    const describedBy = (field.getAttribute("aria-describedby") || "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    if (invalid) {
+      field.setAttribute("aria-invalid", "true");
+      if (!errorElement) return;
+      if (!errorElement.id) {
+        errorElement.id = `cf-error-${++this.errorIdCounter}`;
+      }
+      if (!describedBy.includes(errorElement.id)) {
+        describedBy.push(errorElement.id);
+      }
+    } else {
+      field.removeAttribute("aria-invalid");
+      if (!errorElement) return;
+      const index = describedBy.indexOf(errorElement.id);
+      if (index !== -1) describedBy.splice(index, 1);
+    }
+
+    if (describedBy.length) {
+      field.setAttribute("aria-describedby", describedBy.join(" "));
+    } else {
+      field.removeAttribute("aria-describedby");
+    }
+  }
+
+  // Fields we don't render errors for ourselves (no custom select, no
+  // cf-validate rules) get the browser's bubble via reportValidity(), which
+  // focuses them as well; focusing anything afterwards would dismiss it.
+  focusFirstInvalid(fields) {
+    const first = Array.from(fields)
+      .filter((field) => !field.disabled && this.getFocusTarget(field))
+      .sort((a, b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      )[0];
+    if (!first) return null;
+
+    const usesBubble =
+      !first.hasAttribute("cf-form-select") &&
+      !first.hasAttribute(FORM_CONFIG.validation.ruleAttribute) &&
+      !first.checkValidity();
+    if (usesBubble) {
+      first.reportValidity();
+    } else {
+      this.getFocusTarget(first).focus();
+    }
+    return first;
+  }
+
+  // The element that takes focus for a field, or null if it isn't shown.
+  // Custom selects hide their <select>, so their visible control (or the
+  // wrapper itself) stands in for it.
+  getFocusTarget(field) {
+    if (field.offsetParent !== null) return field;
+    if (!field.hasAttribute("cf-form-select")) return null;
+
+    const wrapper = field.closest(".form-field-wrapper") || field.parentElement;
+    if (!wrapper || wrapper.offsetParent === null) return null;
+
+    const control = Array.from(
+      wrapper.querySelectorAll(
+        'button, a[href], input:not([type="hidden"]), [tabindex]:not([tabindex="-1"])'
+      )
+    ).find((element) => element !== field && element.offsetParent !== null);
+    if (control) return control;
+
+    if (!wrapper.hasAttribute("tabindex"))
+      wrapper.setAttribute("tabindex", "-1");
+    return wrapper;
+  }
+
+  setFormState(config, state) {
+    config.state = state;
+    config.formElement.setAttribute(FORM_CONFIG.stateAttribute, state);
+  }
+
+  attemptSubmit(config) {
+    // The submit listeners and the button click can all fire for one
+    // action; only the first gets through while a submission is running
+    if (["validating", "submitting", "succeeded"].includes(config.state)) {
+      return;
+    }
+
+    if (config.steps && config.currentStep < config.steps.length - 1) {
+      this.goToNextStep(config);
+      return;
+    }
+
+    this.setFormState(config, "validating");
+    if (!this.runPreSubmitChecks(config)) {
+      this.setFormState(config, "failed");
+      return;
+    }
+
+    this.handleFormSubmit(config);
+  }
+
+  // Everything that stops a submission before it is sent. Each check shows
+  // its own error.
+  runPreSubmitChecks(config) {
+    if (config.rateLimitedUntil > Date.now()) {
+      this.showError(
+        config,
+        this.getMessage(config, "rateLimited", {
+          seconds: Math.ceil((config.rateLimitedUntil - Date.now()) / 1000),
+        })
+      );
+      return false;
+    }
+
+    this.pushDataLayerEvent(config, "submit");
+
+    if (config.botSignals && this.getFillTime(config) < config.minFillTime) {
+      const message = this.getMessage(config, "tooFast");
+      this.showError(config, message);
+      this.emit(config, "error", { type: "too_fast", message });
+      this.pushDataLayerEvent(config, "error", { errorType: "too_fast" });
+      return false;
+    }
+
+    if (config.steps && !this.validateAllSteps(config)) return false;
+    if (!this.validateForm(config)) return false;
+
+    if (
+      config.turnstileSiteKey &&
+      config.turnstileMode !== "invisible" &&
+      !config.turnstileToken
+    ) {
+      this.showError(config, this.getMessage(config, "captchaRequired"));
+      return false;
+    }
+
+    return true;
+  }
+
+  validateForm(config, scope = config.formElement) {
+    // Run standard HTML5 validation
+    const invalidFields = Array.from(
+      scope.querySelectorAll("input, select, textarea")
+    ).filter((field) => !field.checkValidity());
+    const isHtmlValid = invalidFields.length === 0;
+
+    // Run custom validation for hidden selects
+    const isCustomValid = this.validateCustomSelects(config, scope);
+
+    // Run cf-validate rules, rendering their errors inline
+    const isRulesValid = this.validateFields(config, scope);
+
+    // Check attachments against the upload limits
+    const areFilesValid = this.validateFiles(config, scope);
+
+    const isValid =
+      isHtmlValid && isCustomValid && isRulesValid && areFilesValid;
+    if (!isValid) {
+      const failedFields = new Set(invalidFields);
+      scope.querySelectorAll("[cf-form-select][required]").forEach((select) => {
+        if (!select.disabled && !select.value) failedFields.add(select);
+      });
+      config.fieldErrors.forEach((message, field) => {
+        if (scope.contains(field)) failedFields.add(field);
+      });
+
+      // Keyboard users start at the top; the browser bubble is shown for
+      // that field if it is a plain HTML-invalid one
+      this.focusFirstInvalid(failedFields);
+
+      const fields = Array.from(
+        failedFields,
+        (field) => field.name || field.id
+      );
+      this.emit(config, "validation-failed", { fields });
+      this.pushDataLayerEvent(config, "validationFailed", { fields });
+    }
+
+    return isValid;
+  }
+
+  registerBuiltInValidators() {
+    const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+    this.addValidator("required", (value) => value.trim() !== "");
+    this.addValidator("email", (value) => emailPattern.test(value.trim()));
+    this.addValidator("business-email", (value) => {
+      const email = value.trim().toLowerCase();
+      if (!emailPattern.test(email)) return false;
+      const domain = email.split("@").pop();
+      return !FORM_CONFIG.validation.freeMailDomains.includes(domain);
+    });
+    this.addValidator("phone", (value) => {
+      const trimmed = value.trim();
+      const digits = trimmed.replace(/\D/g, "");
+      return (
+        /^\+?[\d\s().\-\/]+$/.test(trimmed) &&
+        digits.length >= 7 &&
+        digits.length <= 15
+      );
+    });
+    this.addValidator("min", (value, arg) => value.trim().length >= +arg);
+    this.addValidator("max", (value, arg) => value.trim().length <= +arg);
+    this.addValidator("pattern", (value, arg) => {
+      try {
+        return new RegExp(`^(?:${arg})$`).test(value);
+      } catch (e) {
+        this.warn(`Invalid cf-validate pattern: ${arg}`);
+        return true;
+      }
+    });
+  }
+
+  /**
+   * Register a validation rule usable in cf-validate attributes.
+   * The validator receives (value, arg, field) and returns true when valid,
+   * false to use the default message, or a string to use as the message.
+   */
+  addValidator(name, fn) {
+    if (typeof fn !== "function") {
+      this.warn(`Validator ${name} must be a function`);
+      return;
+    }
+    this.validators[name] = fn;
+  }
+
+  parseValidationRules(field) {
+    const attr = field.getAttribute(FORM_CONFIG.validation.ruleAttribute);
+    const rules = [];
+    if (field.hasAttribute("required")) {
+      rules.push({ name: "required", arg: null });
+    }
+    if (!attr) return rules;
+
+    // pattern may itself contain "|", so it swallows the rest of the attribute
+    let head = attr;
+    let patternArg = null;
+    const patternMatch = attr.match(/(?:^|\|)\s*pattern:/);
+    if (patternMatch) {
+      head = attr.slice(0, patternMatch.index);
+      patternArg = attr.slice(patternMatch.index + patternMatch[0].length);
+    }
+
+    head
+      .split("|")
+      .map((rule) => rule.trim())
+      .filter(Boolean)
+      .forEach((rule) => {
+        const separator = rule.indexOf(":");
+        const name = separator === -1 ? rule : rule.slice(0, separator);
+        const arg = separator === -1 ? null : rule.slice(separator + 1);
+        if (name === "required" && rules.length && rules[0].name === name) {
+          return;
+        }
+        rules.push({ name, arg });
+      });
+
+    if (patternArg !== null) {
+      rules.push({ name: "pattern", arg: patternArg });
+    }
+
+    return rules;
+  }
+
+  getFieldValue(field) {
+    if (field.type === "checkbox") {
+      return field.checked ? field.value : "";
+    }
+    if (field.type === "radio") {
+      const checked = field.form?.querySelector(
+        `input[type="radio"][name="${field.name}"]:checked`
+      );
+      return checked ? checked.value : "";
+    }
+    return field.value || "";
+  }
+
+  formatFileSize(bytes) {
+    return bytes >= 1024 * 1024
+      ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`
+      : `${Math.round(bytes / 1024)} KB`;
+  }
+
+  isFileTypeAllowed(file, input) {
+    const { allowedTypes } = FORM_CONFIG.fileUploads;
+    if (allowedTypes.length && !allowedTypes.includes(file.type)) return false;
+
+    const accept = input.getAttribute("accept");
+    if (!accept) return true;
+
+    const fileName = file.name.toLowerCase();
+    return accept.split(",").some((token) => {
+      const type = token.trim().toLowerCase();
+      if (type.startsWith(".")) return fileName.endsWith(type);
+      if (type.endsWith("/*")) return file.type.startsWith(type.slice(0, -1));
+      return file.type === type;
+    });
+  }
+
+  validateFiles(config, scope = config.formElement) {
+    const { maxFileSize, maxTotalSize, maxFiles } = FORM_CONFIG.fileUploads;
+    const allInputs = Array.from(
+      config.formElement.querySelectorAll('input[type="file"]')
+    ).filter((input) => !input.disabled);
+    const totalSize = allInputs.reduce(
+      (sum, input) =>
+        sum +
+        Array.from(input.files || []).reduce((s, file) => s + file.size, 0),
+      0
+    );
+    let isValid = true;
+
+    allInputs
+      .filter((input) => scope.contains(input))
+      .forEach((input) => {
+        const files = Array.from(input.files || []);
+        let message = null;
+
+        if (files.length > maxFiles) {
+          message = this.getMessage(config, "fileCount", { count: maxFiles });
+        } else if (files.some((file) => !this.isFileTypeAllowed(file, input))) {
+          message = this.getMessage(config, "fileType");
+        } else if (files.some((file) => file.size > maxFileSize)) {
+          message = this.getMessage(config, "fileSize", {
+            size: this.formatFileSize(maxFileSize),
+          });
+        } else if (files.length && totalSize > maxTotalSize) {
+          message = this.getMessage(config, "totalSize", {
+            size: this.formatFileSize(maxTotalSize),
+          });
+        }
+
+        if (message) {
+          isValid = false;
+          this.showFieldError(config, input, message);
+        } else if (!input.hasAttribute(FORM_CONFIG.validation.ruleAttribute)) {
+          this.clearFieldError(config, input);
+        }
+      });
+
+    return isValid;
+  }
+
+  validateFields(config, scope = config.formElement) {
+    let isValid = true;
+    const fields = scope.querySelectorAll(
+      `[${FORM_CONFIG.validation.ruleAttribute}]`
+    );
+
+    fields.forEach((field) => {
+      if (!this.validateField(config, field)) {
+        isValid = false;
+      }
+    });
+
+    return isValid;
+  }
+
+  validateField(config, field) {
+    if (field.disabled) {
+      this.clearFieldError(config, field);
+      return true;
+    }
+
+    const value = this.getFieldValue(field);
+    let message = null;
+
+    for (const rule of this.parseValidationRules(field)) {
+      // Optional fields only run their rules once something is entered
+      if (rule.name !== "required" && value.trim() === "") continue;
+
+      const validator = this.validators[rule.name];
+      if (!validator) {
+        this.warn(`Unknown validation rule "${rule.name}"`);
+        continue;
+      }
+
+      const result = validator(value, rule.arg, field);
+      if (result === true) continue;
+
+      message = this.getValidationMessage(config, field, rule, result);
+      break;
+    }
+
+    // Fall back to the browser's own constraints (type="email", maxlength...)
+    if (!message && !field.checkValidity()) {
+      message =
+        field.getAttribute(FORM_CONFIG.validation.messageAttribute) ||
+        field.validationMessage ||
+        this.getMessage(config, "invalid");
+    }
+
+    if (message) {
+      this.showFieldError(config, field, message);
+      return false;
+    }
+
+    this.clearFieldError(config, field);
+    return true;
+  }
+
+  getValidationMessage(config, field, rule, result) {
+    const { messageAttribute } = FORM_CONFIG.validation;
+    const custom =
+      field.getAttribute(`${messageAttribute}-${rule.name}`) ||
+      field.getAttribute(messageAttribute);
+    if (custom) return custom;
+    if (typeof result === "string" && result) return result;
+
+    // Custom validators without a message of their own use "invalid"
+    return this.getMessage(config, rule.name, { arg: rule.arg }, "invalid");
+  }
+
+  getFieldErrorElement(field, create) {
+    const { wrapperSelector, errorTextSelector, errorElementAttribute } =
+      FORM_CONFIG.validation;
+    const wrapper = field.closest(wrapperSelector);
+
+    // Without a wrapper of its own (fields sitting directly in the form),
+    // each field gets a dedicated element right after it
+    let errorElement = wrapper
+      ? wrapper.querySelector(`[${errorElementAttribute}]`) ||
+        wrapper.querySelector(errorTextSelector)
+      : this.fieldErrorElements.get(field);
+
+    if (!errorElement && create) {
+      errorElement = document.createElement("div");
+      errorElement.className = errorTextSelector.replace(/^\./, "");
+      errorElement.setAttribute(errorElementAttribute, "");
+      if (wrapper) {
+        wrapper.appendChild(errorElement);
+      } else {
+        field.insertAdjacentElement("afterend", errorElement);
+        this.fieldErrorElements.set(field, errorElement);
+      }
+    }
+
+    return errorElement || null;
+  }
+
+  showFieldError(config, field, message) {
+    const errorElement = this.getFieldErrorElement(field, true);
+    if (!errorElement) return;
+
+    errorElement.textContent = message;
+    errorElement.classList.remove(FORM_CONFIG.hideClass);
+    this.setFieldAriaError(field, errorElement, true);
+    config.fieldErrors.set(field, message);
+  }
+
+  clearFieldError(config, field) {
+    if (!config.fieldErrors.has(field)) return;
+
+    const errorElement = this.getFieldErrorElement(field, false);
+    if (errorElement) {
+      errorElement.classList.add(FORM_CONFIG.hideClass);
+    }
+    this.setFieldAriaError(field, errorElement, false);
+    config.fieldErrors.delete(field);
+  }
+
+  setupFieldValidation(config) {
+    config.fieldErrors = new Map();
+    config.serverErrorFields = new Set();
+    const { signal } = config.listenerController;
+
+    // Errors from the Worker clear as soon as the field is edited
+    const clearServerError = (event) => {
+      if (!config.serverErrorFields.delete(event.target)) return;
+      this.clearFieldError(config, event.target);
+    };
+    config.formElement.addEventListener("input", clearServerError, { signal });
+    config.formElement.addEventListener("change", clearServerError, {
+      signal,
+    });
+
+    const fields = config.formElement.querySelectorAll(
+      `[${FORM_CONFIG.validation.ruleAttribute}]`
+    );
+    fields.forEach((field) => {
+      field.addEventListener("blur", () => this.validateField(config, field), {
+        signal,
+      });
+
+      // Once an error is showing, re-check as the user corrects it
+      const revalidate = () => {
+        if (config.fieldErrors.has(field)) {
+          this.validateField(config, field);
+        }
+      };
+      field.addEventListener("input", revalidate, { signal });
+      field.addEventListener("change", revalidate, { signal });
+    });
+
+    config.formElement
+      .querySelectorAll('input[type="file"]')
+      .forEach((input) => {
+        input.addEventListener(
+          "change",
+          () => this.validateFiles(config, input),
+          { signal }
+        );
+      });
+  }
+
+  setupConditionalFields(config) {
+    config.conditionalElements = Array.from(
+      config.formElement.querySelectorAll(
+        `[${FORM_CONFIG.conditional.attribute}]`
+      )
+    );
+    this.applyConditionalVisibility(config);
+  }
+
+  getFieldValues(config, name) {
+    const values = [];
+    config.formElement.querySelectorAll(`[name="${name}"]`).forEach((field) => {
+      if (field.disabled) return;
+      if (field.type === "checkbox" || field.type === "radio") {
+        if (field.checked) values.push(field.value);
+      } else if (field.tagName === "SELECT" && field.multiple) {
+        Array.from(field.selectedOptions).forEach((option) =>
+          values.push(option.value)
+        );
+      } else if (field.value !== "") {
+        values.push(field.value);
+      }
+    });
+    return values;
+  }
+
+  evaluateCondition(config, expression) {
+    const match = expression.match(/^\s*([^!=]+?)\s*(!?=)\s*(.*)$/);
+    if (!match) {
+      return this.getFieldValues(config, expression.trim()).length > 0;
+    }
+
+    const [, name, operator, rawValues] = match;
+    const expected = rawValues.split(",").map((value) => value.trim());
+    const matches = this.getFieldValues(config, name).some((value) =>
+      expected.includes(value)
+    );
+    return operator === "=" ? matches : !matches;
+  }
+
+  applyConditionalVisibility(config) {
+    if (!config.conditionalElements || !config.conditionalElements.length) {
+      return;
+    }
+
+    // Hiding a field can change the outcome of rules that depend on it, so
+    // re-run until nothing changes (bounded in case of circular rules).
+    for (let pass = 0; pass < 5; pass++) {
+      let changed = false;
+
+      config.conditionalElements.forEach((element) => {
+        const isVisible = element
+          .getAttribute(FORM_CONFIG.conditional.attribute)
+          .split("&")
+          .every((expression) => this.evaluateCondition(config, expression));
+        const isHidden = element.classList.contains(FORM_CONFIG.hideClass);
+
+        if (isVisible === isHidden) {
+          this.setConditionalVisibility(config, element, isVisible);
+          changed = true;
+        }
+      });
+
+      if (!changed) return;
+    }
+  }
+
+  setConditionalVisibility(config, element, isVisible) {
+    const { attribute, disabledMarkerAttribute } = FORM_CONFIG.conditional;
+    const fields = element.matches("input, select, textarea")
+      ? [element]
+      : Array.from(element.querySelectorAll("input, select, textarea"));
+
+    element.classList.toggle(FORM_CONFIG.hideClass, !isVisible);
+
+    fields.forEach((field) => {
+      if (!isVisible) {
+        if (field.disabled) return;
+        field.disabled = true;
+        field.setAttribute(disabledMarkerAttribute, "");
+        if (config.fieldErrors) this.clearFieldError(config, field);
+        return;
+      }
+
+      // Leave fields alone that an outer rule is still hiding
+      const outerRules = [
+        attribute,
+        FORM_CONFIG.gatedContent.knownHideAttribute,
+        FORM_CONFIG.progressiveProfiling.attribute,
+      ]
+        .map((rule) => `[${rule}].${FORM_CONFIG.hideClass}`)
+        .join(", ");
+      if (
+        !field.hasAttribute(disabledMarkerAttribute) ||
+        field.closest(outerRules)
+      ) {
+        return;
+      }
+      field.disabled = false;
+      field.removeAttribute(disabledMarkerAttribute);
+    });
+  }
+
+  isKnownVisitor() {
+    try {
+      const visitor = JSON.parse(
+        localStorage.getItem(FORM_CONFIG.gatedContent.storageKey)
+      );
+      return !!visitor && visitor.expiresAt > Date.now();
+    } catch (e) {
+      return false;
+    }
+  }
+
+  rememberVisitor() {
+    const { enabled, storageKey, lifetimeDays } = FORM_CONFIG.gatedContent;
+    if (!enabled) return;
+
+    const now = Date.now();
+    try {
+      localStorage.setItem(
+        storageKey,
+        JSON.stringify({
+          knownAt: now,
+          expiresAt: now + lifetimeDays * 24 * 60 * 60 * 1000,
+        })
+      );
+    } catch (e) {
+      this.warn("Could not remember visitor", e);
+    }
+  }
+
+  forgetVisitor() {
+    try {
+      localStorage.removeItem(FORM_CONFIG.gatedContent.storageKey);
+      localStorage.removeItem(FORM_CONFIG.progressiveProfiling.storageKey);
+    } catch (e) {
+      // storage unavailable; nothing to forget
+    }
+  }
+
+  readProfile() {
+    const { storageKey, lifetimeDays } = FORM_CONFIG.progressiveProfiling;
+    try {
+      const profile = JSON.parse(localStorage.getItem(storageKey));
+      if (
+        !profile ||
+        Date.now() - profile.updatedAt > lifetimeDays * 24 * 60 * 60 * 1000
+      ) {
+        return {};
+      }
+      return profile.values || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  rememberProfile(config, formData) {
+    if (!config.progressiveProfiling) return;
+
+    const { storageKey, allowFields, consentType } =
+      FORM_CONFIG.progressiveProfiling;
+    if (!this.hasStorageConsent(consentType)) {
+      try {
+        localStorage.removeItem(storageKey);
+      } catch (e) {
+        // Nothing stored
+      }
+      return;
+    }
+    const values = this.readProfile();
+
+    allowFields.forEach((name) => {
+      const value = formData[name];
+      const isPlain =
+        typeof value === "string" ||
+        typeof value === "boolean" ||
+        (Array.isArray(value) &&
+          value.every((item) => typeof item === "string"));
+      if (isPlain && value !== "" && !(Array.isArray(value) && !value.length)) {
+        values[name] = value;
+      }
+    });
+
+    try {
+      localStorage.setItem(
+        storageKey,
+        JSON.stringify({ updatedAt: Date.now(), values })
+      );
+    } catch (e) {
+      this.warn("Could not remember profile", e);
+    }
+  }
+
+  prefillField(field, value) {
+    if (field.type === "checkbox" || field.type === "radio") {
+      if (typeof value === "boolean") {
+        field.checked = value;
+      } else {
+        const values = Array.isArray(value) ? value : [value];
+        field.checked = values.includes(field.value);
+      }
+    } else if (field.tagName === "SELECT" && field.multiple) {
+      const values = Array.isArray(value) ? value : [value];
+      Array.from(field.options).forEach((option) => {
+        option.selected = values.includes(option.value);
+      });
+    } else if (field.value === "" && typeof value === "string") {
+      field.value = value;
+    }
+  }
+
+  setupProgressiveProfiling(config) {
+    if (!config.progressiveProfiling) return;
+
+    const { attribute, allowFields } = FORM_CONFIG.progressiveProfiling;
+    const profile = this.readProfile();
+    const isKnown = (name) =>
+      allowFields.includes(name) && profile[name] !== undefined;
+
+    const fields = Array.from(
+      config.formElement.querySelectorAll("input, select, textarea")
+    );
+    // Group inputs only take the remembered value if none is checked yet
+    const answeredGroups = new Set(
+      fields
+        .filter(
+          (field) =>
+            (field.type === "checkbox" || field.type === "radio") &&
+            field.checked
+        )
+        .map((field) => field.name)
+    );
+
+    fields.forEach((field) => {
+      if (
+        !isKnown(field.name) ||
+        answeredGroups.has(field.name) ||
+        field.type === "hidden" ||
+        field.type === "file" ||
+        field.type === "password" ||
+        field.getAttribute("data-honeypot") === "true"
+      ) {
+        return;
+      }
+      this.prefillField(field, profile[field.name]);
+    });
+
+    // Hidden fields are disabled, so collectFormData adds these instead
+    config.progressiveAnswers = {};
+
+    let shown = 0;
+    config.formElement.querySelectorAll(`[${attribute}]`).forEach((element) => {
+      const names = Array.from(
+        element.querySelectorAll("input, select, textarea"),
+        (field) => field.name
+      ).filter(Boolean);
+      const answered = names.length > 0 && names.every(isKnown);
+      const visible = !answered && shown < config.progressiveLimit;
+
+      if (answered) {
+        names.forEach((name) => {
+          config.progressiveAnswers[name] = profile[name];
+        });
+      }
+      if (visible) shown++;
+      this.setConditionalVisibility(config, element, visible);
+    });
+  }
+
+  setupGatedContent(config) {
+    config.gatedPath = "form";
+    if (
+      !FORM_CONFIG.gatedContent.enabled ||
+      !config.assetUrl ||
+      !this.isKnownVisitor()
+    ) {
+      return;
+    }
+
+    if (config.returningVisitor === "unlock") {
+      config.gatedPath = "returning";
+      config.formElement.style.display = "none";
+
+      const webflowDone =
+        config.formElement.parentElement?.querySelector(".w-form-done");
+      if (webflowDone) webflowDone.style.display = "block";
+
+      this.showGatedDownload(config);
+      this.reportGatedUnlock(config);
+      return;
+    }
+
+    if (config.returningVisitor === "short-form") {
+      const { knownHideAttribute } = FORM_CONFIG.gatedContent;
+      config.gatedPath = "short_form";
+      config.formElement
+        .querySelectorAll(`[${knownHideAttribute}]`)
+        .forEach((element) =>
+          this.setConditionalVisibility(config, element, false)
+        );
+    }
+  }
+
+  showGatedDownload(config) {
+    const { downloadAttribute } = FORM_CONFIG.gatedContent;
+    const wrapper = config.formElement.parentElement;
+    if (!wrapper) return;
+
+    let links = Array.from(wrapper.querySelectorAll(`a[${downloadAttribute}]`));
+    const webflowDone = wrapper.querySelector(".w-form-done");
+    if (!links.length && webflowDone) {
+      const link = document.createElement("a");
+      link.setAttribute(downloadAttribute, "");
+      link.textContent = this.getMessage(config, "download");
+      webflowDone.appendChild(link);
+      config.createdDownloadLink = link;
+      links = [link];
+    }
+
+    const url = this.buildRedirectUrl(config.assetUrl);
+    links.forEach((link) => {
+      link.href = url;
+      link.target = "_blank";
+      link.rel = "noopener";
+    });
+  }
+
+  reportGatedUnlock(config) {
+    const data = {
+      assetUrl: config.assetUrl,
+      unlockPath: config.gatedPath,
+    };
+    // emit() adds the form element to its detail, which must stay out of
+    // the dataLayer
+    this.emit(config, "gated-unlock", Object.assign({}, data));
+    this.pushDataLayerEvent(config, "gatedUnlock", data);
+  }
+
+  setupSteps(config) {
+    const { stepAttribute, navAttribute } = FORM_CONFIG.steps;
+    const steps = Array.from(
+      config.formElement.querySelectorAll(`[${stepAttribute}]`)
+    );
+    if (!steps.length) return;
+
+    config.steps = steps;
+    config.currentStep = 0;
+
+    config.formElement
+      .querySelectorAll(`[${navAttribute}]`)
+      .forEach((control) => {
+        control.addEventListener(
+          "click",
+          (event) => {
+            event.preventDefault();
+            if (control.getAttribute(navAttribute) === "back") {
+              this.goToStep(config, config.currentStep - 1, true);
+            } else {
+              this.goToNextStep(config);
+            }
+          },
+          { signal: config.listenerController.signal }
+        );
+      });
+
+    // Resume where the visitor left off, but never beyond a step whose
+    // earlier steps no longer pass (e.g. the browser didn't restore values).
+    let savedStep = 0;
+    try {
+      savedStep =
+        parseInt(sessionStorage.getItem(this.getStepStorageKey(config)), 10) ||
+        0;
+    } catch (e) {
+      savedStep = 0;
+    }
+
+    let resumeStep = 0;
+    while (
+      resumeStep < Math.min(savedStep, steps.length - 1) &&
+      this.isStepComplete(steps[resumeStep])
+    ) {
+      resumeStep++;
+    }
+
+    this.goToStep(config, resumeStep, false);
+  }
+
+  getStepStorageKey(config) {
+    return FORM_CONFIG.steps.storageKeyPrefix + (config.formId || "default");
+  }
+
+  isStepComplete(step) {
+    return Array.from(step.querySelectorAll("input, select, textarea")).every(
+      (field) =>
+        field.checkValidity() &&
+        !(
+          field.hasAttribute("cf-form-select") &&
+          field.hasAttribute("required") &&
+          !field.disabled &&
+          !field.value
+        )
+    );
+  }
+
+  goToNextStep(config) {
+    if (!this.validateForm(config, config.steps[config.currentStep])) return;
+    this.goToStep(config, config.currentStep + 1, true);
+  }
+
+  validateAllSteps(config) {
+    for (let i = 0; i < config.steps.length; i++) {
+      if (!this.validateForm(config, config.steps[i])) {
+        this.goToStep(config, i, false);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  goToStep(config, index, moveFocus) {
+    const { navAttribute, progressAttribute, currentStepAttribute } =
+      FORM_CONFIG.steps;
+    const total = config.steps.length;
+    const current = Math.max(0, Math.min(index, total - 1));
+    const isFirst = current === 0;
+    const isLast = current === total - 1;
+
+    config.currentStep = current;
+    config.steps.forEach((step, i) => {
+      step.classList.toggle(FORM_CONFIG.hideClass, i !== current);
+    });
+
+    config.formElement
+      .querySelectorAll(`[${navAttribute}]`)
+      .forEach((control) => {
+        const isBack = control.getAttribute(navAttribute) === "back";
+        control.classList.toggle(
+          FORM_CONFIG.hideClass,
+          isBack ? isFirst : isLast
+        );
+      });
+
+    // A submit button living outside the steps only shows on the last one
     if (
-      !document.querySelector(
-        'script[src^="https://challenges.cloudflare.com/turnstile"]'
-      )
+      config.submitButton &&
+      !config.steps.some((step) => step.contains(config.submitButton))
     ) {
-      const script = document.createElement("script");
-      script.src = "https://challenges.cloudflare.com/turnstile/v0/api.js";
-      script.async = true;
-      script.defer = true;
-      document.head.appendChild(script);
+      config.submitButton.classList.toggle(FORM_CONFIG.hideClass, !isLast);
     }
-  }
-
-  setupTrackingParams(config) {
-    if (!FORM_CONFIG.trackingParams.enabled) return;
 
-    const persistedParams = sessionStorage.getItem(
-      FORM_CONFIG.trackingParams.sessionStorageKey
-    );
+    config.formElement.setAttribute(currentStepAttribute, current + 1);
+    config.formElement
+      .querySelectorAll(`[${progressAttribute}]`)
+      .forEach((el) => {
+        const type = el.getAttribute(progressAttribute);
+        if (type === "current") el.textContent = current + 1;
+        if (type === "total") el.textContent = total;
+        if (type === "bar") {
+          el.style.width = `${((current + 1) / total) * 100}%`;
+        }
+      });
 
-    if (!persistedParams) return;
+    try {
+      sessionStorage.setItem(this.getStepStorageKey(config), current);
+    } catch (e) {
+      // Step persistence is best-effort
+    }
 
-    const urlParams = new URLSearchParams(persistedParams);
+    this.emit(config, "step-change", { step: current + 1, total });
 
-    urlParams.forEach((value, key) => {
-      const isAllowed = FORM_CONFIG.trackingParams.allowPatterns.some(
-        (pattern) => pattern.test(key)
+    if (moveFocus) {
+      const firstField = config.steps[current].querySelector(
+        "input:not([type=hidden]), select, textarea"
       );
+      if (firstField) firstField.focus();
+    }
+  }
 
-      if (isAllowed) {
-        const existingField = config.formElement.querySelector(
-          `input[name="${key}"]`
-        );
-        if (existingField) return;
-
-        const trackingField = document.createElement("input");
-        trackingField.type = "hidden";
-        trackingField.name = key;
-        trackingField.value = value;
-        trackingField.setAttribute("data-tracking-param", "true");
+  getDraftStorageKey(config) {
+    return FORM_CONFIG.drafts.storageKeyPrefix + (config.formId || "default");
+  }
 
-        config.formElement.insertBefore(
-          trackingField,
-          config.formElement.firstChild
-        );
-      }
-    });
+  getDraftFields(config) {
+    const { allowFields, noSaveAttribute } = FORM_CONFIG.drafts;
+    return Array.from(
+      config.formElement.querySelectorAll("input, select, textarea")
+    ).filter(
+      (field) =>
+        allowFields.includes(field.name) &&
+        !["hidden", "password", "file", "submit", "button"].includes(
+          field.type
+        ) &&
+        field.getAttribute("data-honeypot") !== "true" &&
+        !field.closest(".cf-turnstile-container") &&
+        !field.closest(`[${noSaveAttribute}]`)
+    );
   }
 
-  setupFormSubmission(config) {
-    config.formElement.removeAttribute("action");
-    config.formElement.removeAttribute("method");
-    config.formElement.setAttribute("data-wf-ignore", "true");
+  // Same rule as tracking params: without cf-core.js on the page storage is
+  // allowed, otherwise consentType must be granted
+  hasStorageConsent(consentType) {
+    if (!consentType) return true;
+    if (!window.cfCore) {
+      return !document.querySelector('script[src*="cf-core"]');
+    }
+    return this.getConsentState(window.cfCore, consentType) === "granted";
+  }
 
-    const handleSubmit = (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-      event.stopImmediatePropagation();
+  hasDraftConsent() {
+    return this.hasStorageConsent(FORM_CONFIG.drafts.consentType);
+  }
 
-      // Run standard HTML5 validation
-      const isHtmlValid = config.formElement.checkValidity();
-
-      // Run custom validation for hidden selects
-      const isCustomValid = this.validateCustomSelects(config);
-
-      if (!isHtmlValid) {
-        // If it's invalid, check if the ONLY invalid fields are our custom hidden ones.
-        // If so, we skip reportValidity() to avoid the "not focusable" error.
-        const invalidFields = config.formElement.querySelectorAll(":invalid");
-        let hasVisibleInvalid = false;
-        invalidFields.forEach((field) => {
-          // Simple visibility check: offsetParent is null if hidden
-          // Also check if it's one of our custom selects
-          const isCustomSelect = field.hasAttribute("cf-form-select");
-          if (!isCustomSelect && field.offsetParent !== null) {
-            hasVisibleInvalid = true;
-          }
-        });
+  saveDraft(config) {
+    clearTimeout(config.draftTimer);
+    config.draftTimer = null;
 
-        if (hasVisibleInvalid) {
-          config.formElement.reportValidity();
-        }
+    if (!this.hasDraftConsent()) {
+      // Undecided consent (or cf-core.js still loading) keeps an earlier draft
+      const { consentType } = FORM_CONFIG.drafts;
+      if (
+        window.cfCore &&
+        this.getConsentState(window.cfCore, consentType) === "denied"
+      ) {
+        this.clearDraft(config);
       }
+      return;
+    }
 
-      if (!isHtmlValid || !isCustomValid) {
-        return false;
+    // Checkables and multi-selects store their selected values as a list
+    const values = {};
+    this.getDraftFields(config).forEach((field) => {
+      if (
+        field.type === "checkbox" ||
+        field.type === "radio" ||
+        field.multiple
+      ) {
+        values[field.name] = this.getFieldValues(config, field.name);
+      } else if (field.value !== "") {
+        values[field.name] = field.value;
       }
+    });
 
-      if (config.turnstileSiteKey) {
-        const turnstileResponse = config.formElement.querySelector(
-          '[name="cf-turnstile-response"]'
-        );
-        if (turnstileResponse && !turnstileResponse.value) {
-          this.showError(config, "Please complete the captcha verification.");
-          return false;
-        }
-      }
+    try {
+      localStorage.setItem(
+        this.getDraftStorageKey(config),
+        JSON.stringify({ savedAt: Date.now(), values })
+      );
+    } catch (e) {
+      this.warn("Could not save draft", e);
+    }
+  }
 
-      this.handleFormSubmit(config);
-      return false;
-    };
+  readDraft(config) {
+    try {
+      const draft = JSON.parse(
+        localStorage.getItem(this.getDraftStorageKey(config))
+      );
+      if (!draft || Date.now() - draft.savedAt > FORM_CONFIG.drafts.maxAge) {
+        return null;
+      }
+      return draft.values;
+    } catch (e) {
+      return null;
+    }
+  }
 
-    config.formElement.addEventListener("submit", handleSubmit, true);
-    config.formElement.addEventListener("submit", handleSubmit, false);
+  clearDraft(config) {
+    clearTimeout(config.draftTimer);
+    config.draftTimer = null;
+    try {
+      localStorage.removeItem(this.getDraftStorageKey(config));
+    } catch (e) {
+      // Drafts are best-effort
+    }
+  }
 
-    if (config.submitButton) {
-      const newButton = config.submitButton.cloneNode(true);
-      config.submitButton.parentNode.replaceChild(
-        newButton,
-        config.submitButton
-      );
-      config.submitButton = newButton;
+  setupDrafts(config) {
+    if (!config.drafts) return;
 
-      // Update submitLabel reference if it was inside the button
-      if (FORM_CONFIG.submitLabelSelector) {
-        const newLabel = config.submitButton.querySelector(
-          FORM_CONFIG.submitLabelSelector
-        );
-        if (newLabel) {
-          config.submitLabel = newLabel;
-        }
-      }
+    const { saveDelay, noticeAttribute } = FORM_CONFIG.drafts;
+    const { signal } = config.listenerController;
 
-      config.submitButton.addEventListener(
-        "click",
-        (event) => {
-          event.preventDefault();
-          event.stopPropagation();
-          event.stopImmediatePropagation();
+    let edited = false;
 
-          const isHtmlValid = config.formElement.checkValidity();
-          const isCustomValid = this.validateCustomSelects(config);
-
-          if (!isHtmlValid) {
-            const invalidFields =
-              config.formElement.querySelectorAll(":invalid");
-            let hasVisibleInvalid = false;
-            invalidFields.forEach((field) => {
-              const isCustomSelect = field.hasAttribute("cf-form-select");
-              if (!isCustomSelect && field.offsetParent !== null) {
-                hasVisibleInvalid = true;
-              }
-            });
+    const restore = () => {
+      // A late restore must not overwrite what the visitor typed meanwhile
+      if (edited || signal.aborted || !this.hasDraftConsent()) return;
 
-            if (hasVisibleInvalid) {
-              config.formElement.reportValidity();
-            }
+      const values = this.readDraft(config);
+      let restored = false;
+      if (values) {
+        this.getDraftFields(config).forEach((field) => {
+          if (!(field.name in values)) return;
+          const value = values[field.name];
+          if (Array.isArray(value)) {
+            this.prefillField(field, value);
+          } else {
+            field.value = value;
           }
+          restored = true;
+        });
+      }
 
-          if (isHtmlValid && isCustomValid) {
-            let isCaptchaValid = true;
-            if (config.turnstileSiteKey) {
-              const turnstileResponse = config.formElement.querySelector(
-                '[name="cf-turnstile-response"]'
-              );
-              if (turnstileResponse && !turnstileResponse.value) {
-                isCaptchaValid = false;
-                this.showError(
-                  config,
-                  "Please complete the captcha verification."
-                );
-              }
-            }
+      const notice = config.formElement.querySelector(`[${noticeAttribute}]`);
+      if (restored && notice) {
+        if (!notice.textContent.trim()) {
+          notice.textContent = this.getMessage(config, "draftRestored");
+        }
+        notice.setAttribute("role", "status");
+        notice.classList.remove(FORM_CONFIG.hideClass);
+      }
+    };
 
-            if (isCaptchaValid) {
-              this.handleFormSubmit(config);
-            }
-          }
-          return false;
-        },
-        true
-      );
+    // An async/deferred cf-core.js decides consent once it has loaded
+    if (window.cfCore || !document.querySelector('script[src*="cf-core"]')) {
+      restore();
+    } else {
+      this.loadCore().then(restore, (error) => {
+        this.warn("Consent unavailable; drafts not restored", error);
+      });
     }
 
-    // Disable Webflow success/fail
-    const webflowDone =
-      config.formElement.parentElement?.querySelector(".w-form-done");
-    const webflowFail =
-      config.formElement.parentElement?.querySelector(".w-form-fail");
-    if (webflowDone) webflowDone.style.display = "none";
-    if (webflowFail) webflowFail.style.display = "none";
+    const scheduleSave = (event) => {
+      if (
+        config.submitted ||
+        !this.getDraftFields(config).includes(event.target)
+      ) {
+        return;
+      }
+      edited = true;
+      clearTimeout(config.draftTimer);
+      config.draftTimer = setTimeout(() => this.saveDraft(config), saveDelay);
+    };
+    config.formElement.addEventListener("input", scheduleSave, { signal });
+    config.formElement.addEventListener("change", scheduleSave, { signal });
+
+    // Don't lose the last keystrokes to the debounce
+    window.addEventListener(
+      "pagehide",
+      () => {
+        if (config.draftTimer) this.saveDraft(config);
+      },
+      { signal }
+    );
+  }
+
+  clearStepState(config) {
+    if (!config.steps) return;
+    try {
+      sessionStorage.removeItem(this.getStepStorageKey(config));
+    } catch (e) {
+      // Step persistence is best-effort
+    }
   }
 
-  validateCustomSelects(config) {
+  validateCustomSelects(config, scope = config.formElement) {
     let isValid = true;
     // Find all selects with the cf-form-select attribute
-    const customSelects =
-      config.formElement.querySelectorAll("[cf-form-select]");
+    const customSelects = scope.querySelectorAll("[cf-form-select]");
 
     customSelects.forEach((select) => {
       // Only check if it's required
-      if (select.hasAttribute("required") && !select.value) {
+      if (
+        select.hasAttribute("required") &&
+        !select.disabled &&
+        !select.value
+      ) {
         isValid = false;
 
         // Find the closest wrapper
@@ -496,6 +3330,7 @@ class RSBFormHandler {
           errorTexts.forEach((el) => {
             el.classList.remove("hide");
           });
+          this.setFieldAriaError(select, errorTexts[0], true);
         }
       } else {
         // If valid, ensure error is hidden
@@ -503,6 +3338,7 @@ class RSBFormHandler {
         if (wrapper) {
           const errorTexts = wrapper.querySelectorAll(".form-field_error-text");
           errorTexts.forEach((el) => el.classList.add("hide"));
+          this.setFieldAriaError(select, errorTexts[0], false);
         }
       }
     });
@@ -512,120 +3348,415 @@ class RSBFormHandler {
 
   setupAutoResetOnEdit(config) {
     config.hasErrorShown = false;
+    const { signal } = config.listenerController;
     const formInputs = config.formElement.querySelectorAll(
       "input, textarea, select"
     );
     formInputs.forEach((input) => {
       if (input.getAttribute("data-honeypot") === "true") return;
 
-      input.addEventListener("input", () => {
-        if (config.hasErrorShown) {
-          this.hideError(config);
-        }
-      });
-      input.addEventListener("focus", () => {
-        if (config.hasErrorShown) {
-          this.hideError(config);
-        }
-      });
+      input.addEventListener(
+        "input",
+        () => {
+          this.applyConditionalVisibility(config);
+          if (config.hasErrorShown) {
+            this.hideError(config);
+          }
+        },
+        { signal }
+      );
+      input.addEventListener(
+        "focus",
+        () => {
+          if (config.hasErrorShown) {
+            this.hideError(config);
+          }
+        },
+        { signal }
+      );
       // Added change listener for selects to clear custom errors
-      input.addEventListener("change", () => {
-        if (input.tagName === "SELECT") {
-          const wrapper = input.closest(".form-field-wrapper");
-          if (wrapper) {
-            const errorTexts = wrapper.querySelectorAll(
-              ".form-field_error-text"
-            );
-            errorTexts.forEach((el) => el.classList.add("hide"));
+      input.addEventListener(
+        "change",
+        () => {
+          this.applyConditionalVisibility(config);
+          if (input.tagName === "SELECT") {
+            const wrapper = input.closest(".form-field-wrapper");
+            if (wrapper) {
+              const errorTexts = wrapper.querySelectorAll(
+                ".form-field_error-text"
+              );
+              errorTexts.forEach((el) => el.classList.add("hide"));
+              if (input.hasAttribute("cf-form-select")) {
+                this.setFieldAriaError(input, errorTexts[0], false);
+              }
+            }
           }
-        }
-        if (config.hasErrorShown) {
-          this.hideError(config);
-        }
-      });
+          if (config.hasErrorShown) {
+            this.hideError(config);
+          }
+        },
+        { signal }
+      );
     });
   }
 
   async handleFormSubmit(config) {
+    if (config.state === "submitting") return;
+    this.setFormState(config, "submitting");
     this.hideError(config);
     this.setSubmitButtonLoading(config, true);
 
+    let outcome = "failed";
     try {
-      const formData = this.collectFormData(config);
+      const formData = await this.collectFormData(config);
 
-      let turnstileToken = null;
-      if (config.turnstileSiteKey) {
-        const turnstileField = config.formElement.querySelector(
-          '[name="cf-turnstile-response"]'
-        );
-        turnstileToken = turnstileField?.value?.trim();
+      let turnstileToken;
+      try {
+        turnstileToken = await this.getTurnstileToken(config);
+      } catch (error) {
+        this.warn("Could not obtain Turnstile token", error);
+        const message = this.getMessage(config, "captchaFailed");
+        this.showError(config, message);
+        this.emit(config, "error", { type: "captcha", message, error });
+        this.pushDataLayerEvent(config, "error", { errorType: "captcha" });
+        return;
       }
 
       formData.metadata = {
         submissionTime: Date.now(),
-        pageLoadTime: window.performance.timing.loadEventEnd,
+        pageLoadTime: this.getPageLoadTime(),
         userAgent: navigator.userAgent,
         referrer: document.referrer,
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
         formId: config.formId,
+        knownVisitor: this.isKnownVisitor(),
+        botSignals: this.getBotSignals(config),
       };
 
-      const payload = {
-        formData: formData,
-        formUrl: config.formUrl,
-        redirectUrl: config.redirectUrl,
-        turnstileToken,
+      // Reused until the Worker answers, so a resubmit after a network
+      // failure dedupes against the queued copy instead of creating a
+      // second prospect.
+      config.idempotencyKey =
+        config.idempotencyKey || this.generateIdempotencyKey();
+
+      const submitDetail = {
+        payload: {
+          formData: formData,
+          formUrl: config.formUrl,
+          redirectUrl: config.redirectUrl,
+          turnstileToken,
+          idempotencyKey: config.idempotencyKey,
+          locale: config.locale,
+        },
       };
 
-      const response = await fetch(this.workerUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
+      // Listeners may enrich or replace detail.payload, or cancel
+      if (!this.emit(config, "before-submit", submitDetail, true)) {
+        this.log(`Submission of ${config.formId} cancelled by listener`);
+        outcome = "idle";
+        return;
+      }
+      const payload = submitDetail.payload;
 
-      const result = await response.json();
+      const controller = new AbortController();
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, FORM_CONFIG.submitTimeout);
+      config.submitController = controller;
 
-      if (result.success) {
-        this.handleSuccess(config);
-      } else {
-        this.showError(
-          config,
-          result.error?.message || "Something went wrong. Please try again."
+      let response;
+      try {
+        response = await this.postSubmission(
+          config.workerUrl,
+          payload,
+          controller.signal
         );
+      } catch (error) {
+        if (controller.signal.aborted) {
+          // Anything else aborting means destroy() took the form away
+          if (!timedOut) {
+            outcome = "idle";
+            return;
+          }
+
+          // The Worker may still have processed it; the kept idempotency
+          // key makes a retry safe
+          const message = this.getMessage(config, "timeout");
+          this.showError(config, message);
+          this.emit(config, "error", { type: "timeout", message, payload });
+          this.pushDataLayerEvent(config, "error", { errorType: "timeout" });
+          return;
+        }
+        const queued =
+          error.isNetworkError &&
+          this.enqueueSubmission(
+            config.workerUrl,
+            payload,
+            config.turnstileSiteKey
+              ? {
+                  sitekey: config.turnstileSiteKey,
+                  action: this.getTurnstileAction(config),
+                  language: this.getTurnstileLanguage(config),
+                }
+              : null
+          );
+        if (queued) {
+          // The lead is safe in the queue, so leaving isn't an abandon
+          config.submitted = true;
+          const message = this.getMessage(config, queued);
+          this.showError(config, message);
+          this.emit(config, "error", {
+            type: "queued",
+            message,
+            payload,
+            error,
+          });
+          this.pushDataLayerEvent(config, "error", { errorType: "queued" });
+          return;
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        config.submitController = null;
+      }
+
+      config.idempotencyKey = null;
+      const { result } = response;
+
+      if (result && result.success) {
+        outcome = "succeeded";
+        config.submitted = true;
+        this.emit(config, "success", { payload, result });
+        this.pushDataLayerEvent(config, "success");
+        this.handleSuccess(config, payload.formData);
+      } else {
+        this.handleSubmissionError(config, response, payload);
       }
     } catch (error) {
-      this.showError(
-        config,
-        "Network error. Please check your connection and try again."
-      );
+      const message = this.getMessage(config, "network");
+      this.showError(config, message);
+      this.emit(config, "error", { type: "network", message, error });
+      this.pushDataLayerEvent(config, "error", { errorType: "network" });
     } finally {
-      this.setSubmitButtonLoading(config, false);
+      // After destroy() there is no widget or form state left to reset
+      if (!config.listenerController.signal.aborted) {
+        // Tokens are single-use; get a fresh one for the next attempt
+        if (config.turnstileSiteKey) {
+          this.resetTurnstile(config);
+        }
+        this.setSubmitButtonLoading(config, false);
+        this.setFormState(config, outcome);
+      }
     }
   }
 
-  collectFormData(config) {
-    const formData = {};
-    const inputs = config.formElement.querySelectorAll(
-      "input, textarea, select"
+  resolveLocale(formElement) {
+    const localized = formElement.closest(
+      `[${FORM_CONFIG.i18n.localeAttribute}]`
+    );
+    const locale =
+      (localized && localized.getAttribute(FORM_CONFIG.i18n.localeAttribute)) ||
+      document.documentElement.lang ||
+      FORM_CONFIG.i18n.defaultLocale;
+    return locale.trim().toLowerCase().replace(/_/g, "-");
+  }
+
+  // Catalogs to try for a locale, most specific first: "de-at" -> de-at, de
+  getLocaleChain(locale) {
+    const { catalogs } = FORM_CONFIG.i18n;
+    const base = locale.split("-")[0];
+    return [locale, base].filter(
+      (candidate, index, list) =>
+        catalogs[candidate] && list.indexOf(candidate) === index
+    );
+  }
+
+  // Turnstile only gets a language we have a catalog for, so the widget
+  // matches the form; otherwise it follows the browser
+  getTurnstileLanguage(config) {
+    return this.getLocaleChain(config.locale)[0] || "auto";
+  }
+
+  findMessage(config, key) {
+    if (config.messages[key] !== undefined) return config.messages[key];
+
+    const { catalogs, defaultLocale } = FORM_CONFIG.i18n;
+    const locales = this.getLocaleChain(config.locale).concat(defaultLocale);
+    const locale = locales.find(
+      (candidate) => catalogs[candidate]?.[key] !== undefined
+    );
+    return locale ? catalogs[locale][key] : undefined;
+  }
+
+  getMessage(config, key, values = {}, fallbackKey = "server") {
+    const template =
+      this.findMessage(config, key) ?? this.findMessage(config, fallbackKey);
+    return String(template ?? "").replace(/\{(\w+)\}/g, (match, name) =>
+      values[name] !== undefined ? values[name] : match
     );
+  }
+
+  // Retry-After is either delay-seconds or an HTTP date
+  parseRetryAfter(value) {
+    if (value === null || value === undefined || value === "") return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // The Worker answers { success, error?: { code, message }, errors?: {
+  // field_name: message } }. Sorts a failed response into validation,
+  // rate_limit, captcha or server and returns
+  // { type, message, fieldErrors, retryAfter }.
+  classifySubmissionError(config, { status, headers, result }) {
+    const code = result?.error?.code;
+    const fieldErrors =
+      result && result.errors && typeof result.errors === "object"
+        ? result.errors
+        : null;
+
+    if (fieldErrors && Object.keys(fieldErrors).length) {
+      return {
+        type: "validation",
+        message: this.getMessage(config, "fields"),
+        fieldErrors,
+      };
+    }
+
+    if (status === 429 || code === "rate_limited") {
+      const retryAfter =
+        this.parseRetryAfter(headers && headers.get("Retry-After")) ??
+        this.parseRetryAfter(result?.retryAfter) ??
+        60000;
+      return {
+        type: "rate_limit",
+        message: this.getMessage(config, "rateLimited", {
+          seconds: Math.ceil(retryAfter / 1000),
+        }),
+        retryAfter,
+      };
+    }
+
+    if (code === "captcha_failed") {
+      return {
+        type: "captcha",
+        message: this.getMessage(config, "captchaRejected"),
+      };
+    }
+
+    // Worker-written messages are only trusted on a well-formed response
+    const message =
+      !result || status >= 500
+        ? this.getMessage(config, status >= 502 ? "unavailable" : "server")
+        : result.error?.message || this.getMessage(config, "server");
+    return { type: "server", message };
+  }
+
+  handleSubmissionError(config, response, payload) {
+    const { type, message, fieldErrors, retryAfter } =
+      this.classifySubmissionError(config, response);
+
+    if (fieldErrors) {
+      // Messages for fields this form doesn't render go to the form error
+      const unmatched = [];
+      const matched = [];
+      Object.entries(fieldErrors).forEach(([name, fieldMessage]) => {
+        const field = Array.from(
+          config.formElement.querySelectorAll(`[name="${name}"]`)
+        ).find((element) => !element.disabled);
+        if (field) {
+          this.showFieldError(config, field, String(fieldMessage));
+          config.serverErrorFields.add(field);
+          matched.push(field);
+        } else {
+          unmatched.push(String(fieldMessage));
+        }
+      });
+      this.showError(config, [message].concat(unmatched).join(" "));
+      this.focusFirstInvalid(matched);
+    } else {
+      this.showError(config, message);
+    }
+
+    if (type === "rate_limit") {
+      config.rateLimitedUntil = Date.now() + retryAfter;
+    }
+
+    this.emit(config, "error", {
+      type,
+      message,
+      status: response.status,
+      fieldErrors,
+      payload,
+      result: response.result,
+    });
+    this.pushDataLayerEvent(config, "error", {
+      errorType: type,
+      status: response.status,
+    });
+  }
+
+  async collectFormData(config) {
+    const formData = {};
+    const inputs = Array.from(
+      config.formElement.querySelectorAll("input, textarea, select")
+    ).filter((input) => !input.disabled);
+
+    // Checkboxes sharing a name form a group and submit their checked values
+    const checkboxCounts = {};
+    inputs.forEach((input) => {
+      if (input.type === "checkbox" && input.name) {
+        checkboxCounts[input.name] = (checkboxCounts[input.name] || 0) + 1;
+      }
+    });
+
+    const fileInputs = [];
 
     inputs.forEach((input) => {
       if (input.name && input.type !== "submit") {
-        if (input.type === "checkbox") {
-          formData[input.name] = input.checked;
+        if (input.type === "file") {
+          fileInputs.push(input);
+        } else if (input.type === "checkbox") {
+          if (checkboxCounts[input.name] > 1) {
+            formData[input.name] = formData[input.name] || [];
+            if (input.checked) {
+              formData[input.name].push(input.value);
+            }
+          } else {
+            formData[input.name] = input.checked;
+          }
         } else if (input.type === "radio") {
           if (input.checked) {
             formData[input.name] = input.value;
           }
+        } else if (input.tagName === "SELECT" && input.multiple) {
+          formData[input.name] = Array.from(
+            input.selectedOptions,
+            (option) => option.value
+          );
         } else {
           formData[input.name] = input.value;
         }
       }
     });
 
-    if (FORM_CONFIG.enableHoneypot) {
+    // Progressive questions skipped because their answers are known
+    Object.entries(config.progressiveAnswers || {}).forEach(([name, value]) => {
+      if (!(name in formData)) formData[name] = value;
+    });
+
+    for (const input of fileInputs) {
+      formData[input.name] = await Promise.all(
+        Array.from(input.files || [], (file) => this.readFile(file))
+      );
+    }
+
+    if (config.honeypot) {
       const honeypotField = config.formElement.querySelector(
         'input[data-honeypot="true"]'
       );
@@ -638,14 +3769,32 @@ class RSBFormHandler {
     return formData;
   }
 
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        resolve({
+          name: file.name,
+          type: file.type,
+          size: file.size,
+          // Strip the "data:<type>;base64," prefix
+          content: String(reader.result).split(",").pop(),
+        });
+      };
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
   setSubmitButtonLoading(config, loading) {
+    config.formElement.setAttribute("aria-busy", String(loading));
     if (!config.submitButton) return;
 
     if (loading) {
       config.submitButton.disabled = true;
       if (config.submitLabel) {
         config.originalButtonText = config.submitLabel.innerHTML;
-        config.submitLabel.innerHTML = FORM_CONFIG.loadingText;
+        config.submitLabel.innerHTML = this.getMessage(config, "loading");
       }
     } else {
       config.submitButton.disabled = false;
@@ -670,15 +3819,21 @@ class RSBFormHandler {
     }
   }
 
-  handleSuccess(config) {
-    if (config.redirectUrl) {
+  handleSuccess(config, formData = {}) {
+    this.clearStepState(config);
+    this.clearDraft(config);
+    // Any completed form makes the visitor known to Pardot
+    this.rememberVisitor();
+    this.rememberProfile(config, formData);
+
+    if (config.redirectUrl && !config.assetUrl) {
       // Keep form visible but interactive elements disabled ideally,
       // but simpler to just show success and redirect.
 
       const redirectUrl = this.buildRedirectUrl(config.redirectUrl);
       setTimeout(() => {
         window.location.href = redirectUrl;
-      }, 100);
+      }, config.redirectDelay);
     } else {
       // Native Success Mode for Webflow
       config.formElement.style.display = "none";
@@ -686,19 +3841,57 @@ class RSBFormHandler {
       const webflowDone =
         config.formElement.parentElement?.querySelector(".w-form-done");
       if (webflowDone) {
+        if (config.successMessage) {
+          const target = webflowDone.querySelector("div") || webflowDone;
+          target.textContent = this.renderSuccessMessage(
+            config.successMessage,
+            formData
+          );
+        }
         webflowDone.style.display = "block";
+        // The form that had focus is gone; move it to the announcement
+        webflowDone.focus();
+      }
+
+      if (config.assetUrl) {
+        this.showGatedDownload(config);
+        this.reportGatedUnlock(config);
+        this.openAsset(config.assetUrl);
+      }
+    }
+  }
+
+  renderSuccessMessage(template, formData) {
+    return template.replace(/\{\s*([\w-]+)\s*\}/g, (match, name) => {
+      const value = formData[name];
+      if (value === undefined || value === null || typeof value === "object") {
+        return "";
       }
+      return String(value);
+    });
+  }
+
+  openAsset(assetUrl) {
+    const url = this.buildRedirectUrl(assetUrl);
+
+    // Popup blockers may refuse since this runs after the request rather
+    // than in the click; fall back to opening it in this tab.
+    const opened = window.open(url, "_blank");
+    if (opened) {
+      opened.opener = null;
+    } else {
+      window.location.href = url;
     }
   }
 
   buildRedirectUrl(redirectSlug) {
     const origin = window.location.origin;
-    if (redirectSlug.startsWith("http")) return redirectSlug;
+    if (redirectSlug.startsWith("http")) return this.decorateUrl(redirectSlug);
 
     const slug = redirectSlug.startsWith("/")
       ? redirectSlug
       : "/" + redirectSlug;
-    return origin + slug;
+    return this.decorateUrl(origin + slug);
   }
 }
 
@@ -1,125 +1,535 @@
+// Requires cf-core.js (shared Turnstile loader) on the same page.
+//
+// Configuration (later sources win):
+// 1. DEFAULTS below
+// 2. window.CFTrafficGatingConfig = { sitekey, verifyUrl, dataLayerEvent, ... }
+// 3. data-* attributes on this script tag, e.g.
+//    <script src="cf-traffic-gating.js" data-sitekey="..." data-verify-url="..."
+//            data-fail-mode="open" data-debug="true"></script>
+//    (see DATA_ATTRIBUTES for the full list)
+//
+// Exposes window.cfTrafficGating = { status(), expiresAt(), reverify(), onPass(cb) }.
 (function () {
+  // Must be read synchronously, before any callback runs
+  var currentScript =
+    document.currentScript ||
+    document.querySelector('script[src*="cf-traffic-gating"]');
+
   // ============ CONFIG ============
-  var TURNSTILE_SITEKEY = "0x4AAAAAACGTq9k7OhNoXCa2";
+  var DEFAULTS = {
+    sitekey: "0x4AAAAAACGTq9k7OhNoXCa2",
+
+    // FIRST-PARTY COOKIE MODE:
+    // Set this to a same-site endpoint so the Worker can set a first-party cookie.
+    // Examples:
+    // - "/turnstile/verify" (recommended)
+    // - "https://verify.yourdomain.com/turnstile/verify" (still first-party if cookie Domain=.yourdomain.com)
+    verifyUrl: "https://verify.redshiftbio.com/turnstile/verify",
+
+    // GTM listens for this event
+    dataLayerEvent: "turnstile_passed",
+
+    // Pushed with a `reason` whenever verification ultimately fails, and
+    // with `refresh: true` when a background refresh of a still valid
+    // session fails (the gate stays open and the refresh is retried)
+    failedDataLayerEvent: "turnstile_failed",
+
+    // Pushed when the challenge was silently re-run before expiry
+    refreshedDataLayerEvent: "turnstile_refreshed",
+
+    // Cookie set by Worker (must be on the website's domain to be readable by GTM)
+    cookieName: "cf_ts_verified",
+
+    // What to do when verification cannot complete (script blocked, Worker
+    // down, timeouts): "closed" keeps the gate shut, "open" pushes the pass
+    // event anyway. A Worker that explicitly rejects the token always stays
+    // closed.
+    failMode: "closed",
+
+    // Give up on a verify request after this many ms
+    verifyTimeout: 10000,
+
+    // Extra attempts (fresh token + verify) after a failure, with the delay
+    // doubling from retryDelay each time
+    maxRetries: 2,
+    retryDelay: 1000,
+
+    // Give up if cf-core.js hasn't loaded after this many ms
+    coreTimeout: 15000,
+
+    // Re-run the invisible challenge this many ms before the verification
+    // expires (taken from a timestamped cookie or the Worker's
+    // expiresAt/ttl), so GTM tags keep firing on long sessions
+    refreshLead: 60000,
+
+    // localStorage key remembering the expiry the Worker reported
+    stateStorageKey: "cf_ts_state",
+
+    // Optional consent type (e.g. "analytics_storage"). When set, dataLayer
+    // events are held back until cf-core reports that consent as granted.
+    consentType: null,
+
+    // Optional: set true to log to console for testing
+    debug: false,
+  };
 
-  // FIRST-PARTY COOKIE MODE:
-  // Set this to a same-site endpoint so the Worker can set a first-party cookie.
-  // Examples:
-  // - "/turnstile/verify" (recommended)
-  // - "https://verify.yourdomain.com/turnstile/verify" (still first-party if cookie Domain=.yourdomain.com)
-  var VERIFY_URL = "https://verify.redshiftbio.com/turnstile/verify";
+  // data-* attribute -> config key
+  var DATA_ATTRIBUTES = {
+    "data-sitekey": "sitekey",
+    "data-verify-url": "verifyUrl",
+    "data-datalayer-event": "dataLayerEvent",
+    "data-failed-datalayer-event": "failedDataLayerEvent",
+    "data-cookie-name": "cookieName",
+    "data-fail-mode": "failMode",
+    "data-verify-timeout": "verifyTimeout",
+    "data-max-retries": "maxRetries",
+    "data-retry-delay": "retryDelay",
+    "data-core-timeout": "coreTimeout",
+    "data-refreshed-datalayer-event": "refreshedDataLayerEvent",
+    "data-refresh-lead": "refreshLead",
+    "data-state-storage-key": "stateStorageKey",
+    "data-consent-type": "consentType",
+    "data-debug": "debug",
+  };
 
-  // GTM listens for this event
-  var DATALAYER_EVENT = "turnstile_passed";
+  var NUMERIC_KEYS = [
+    "verifyTimeout",
+    "maxRetries",
+    "retryDelay",
+    "coreTimeout",
+    "refreshLead",
+  ];
 
-  // Cookie set by Worker (must be on the website's domain to be readable by GTM)
-  var VERIFIED_COOKIE_NAME = "cf_ts_verified";
+  function readConfig() {
+    var config = {};
+    var globalConfig = window.CFTrafficGatingConfig || {};
+    var key;
 
-  // Optional: set true to log to console for testing
-  var DEBUG = true;
+    for (key in DEFAULTS) {
+      config[key] = DEFAULTS[key];
+    }
+    for (key in globalConfig) {
+      if (Object.prototype.hasOwnProperty.call(DEFAULTS, key)) {
+        config[key] = globalConfig[key];
+      }
+    }
+    if (currentScript) {
+      for (var attr in DATA_ATTRIBUTES) {
+        if (currentScript.hasAttribute(attr)) {
+          config[DATA_ATTRIBUTES[attr]] = currentScript.getAttribute(attr);
+        }
+      }
+    }
+
+    config.debug = config.debug === true || config.debug === "true";
+    for (var i = 0; i < NUMERIC_KEYS.length; i++) {
+      var value = Number(config[NUMERIC_KEYS[i]]);
+      config[NUMERIC_KEYS[i]] = isNaN(value)
+        ? DEFAULTS[NUMERIC_KEYS[i]]
+        : value;
+    }
+    return config;
+  }
+
+  var CONFIG = readConfig();
+
+  // ============ STATE ============
+  // "pending" -> "verifying" -> "passed" | "failed" | "failed_open"
+  var state = "pending";
+  var inFlight = null;
+  var passCallbacks = [];
+  var expiresAt = null;
+  var refreshTimer = null;
+  var heldEvents = [];
 
   // ============ HELPERS ============
   function log() {
-    if (!DEBUG || !window.console) return;
+    if (!CONFIG.debug || !window.console) return;
     // eslint-disable-next-line no-console
     console.log.apply(console, arguments);
   }
 
-  function getCookie(name) {
-    var match = document.cookie.match(
-      new RegExp("(^|;\\s*)" + name + "=([^;]+)"),
+  // cf-core.js may load after this script (async/defer), so wait for it,
+  // but not forever
+  function whenCoreReady(cb, onTimeout) {
+    if (window.cfCore) return cb(window.cfCore);
+
+    var done = false;
+    var timer = setTimeout(function () {
+      done = true;
+      if (onTimeout) onTimeout();
+    }, CONFIG.coreTimeout);
+
+    document.addEventListener("cf-core:ready", function () {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      cb(window.cfCore);
+    });
+  }
+
+  function hasConsent() {
+    return (
+      !CONFIG.consentType ||
+      (window.cfCore && window.cfCore.consent.isGranted(CONFIG.consentType))
     );
-    return match ? decodeURIComponent(match[2]) : null;
   }
 
-  function pushDataLayerEvent() {
+  function flushHeldEvents() {
+    if (!heldEvents.length || !hasConsent()) return;
+    var events = heldEvents;
+    heldEvents = [];
+    window.dataLayer = window.dataLayer || [];
+    for (var i = 0; i < events.length; i++) {
+      window.dataLayer.push(events[i]);
+      log("[turnstile] pushed held dataLayer event:", events[i].event);
+    }
+  }
+
+  function pushDataLayerEvent(eventName, data) {
+    var entry = { event: eventName };
+    for (var key in data) {
+      entry[key] = data[key];
+    }
+
+    if (!hasConsent()) {
+      heldEvents.push(entry);
+      log("[turnstile] holding dataLayer event until consent:", eventName);
+      return;
+    }
+
     window.dataLayer = window.dataLayer || [];
-    window.dataLayer.push({ event: DATALAYER_EVENT });
-    log("[turnstile] pushed dataLayer event:", DATALAYER_EVENT);
+    window.dataLayer.push(entry);
+    log("[turnstile] pushed dataLayer event:", eventName, data || "");
+  }
+
+  function pass(data) {
+    pushDataLayerEvent(CONFIG.dataLayerEvent, data);
+
+    var callbacks = passCallbacks.slice();
+    for (var i = 0; i < callbacks.length; i++) {
+      try {
+        callbacks[i]();
+      } catch (e) {
+        log("[turnstile] onPass callback failed:", e);
+      }
+    }
+  }
+
+  function fail(reason) {
+    log("[turnstile] verification failed:", reason);
+    pushDataLayerEvent(CONFIG.failedDataLayerEvent, { reason: reason });
+
+    // The Worker saying "no" is a real answer, never fail open on it
+    if (CONFIG.failMode === "open" && reason !== "verify_rejected") {
+      state = "failed_open";
+      log("[turnstile] fail-open policy; gating open anyway");
+      pass({ failOpen: true });
+    } else {
+      state = "failed";
+    }
+    return state;
+  }
+
+  // The session stays valid until it expires, so a failed background
+  // refresh only reports and tries again; the gate is left as it is
+  function refreshFailed(core, reason) {
+    var remaining = expiresAt ? expiresAt - Date.now() : 0;
+    if (remaining <= 0) return fail(reason);
+
+    log("[turnstile] refresh failed:", reason);
+    pushDataLayerEvent(CONFIG.failedDataLayerEvent, {
+      reason: reason,
+      refresh: true,
+    });
+
+    var retryIn = Math.min(
+      Math.max(CONFIG.refreshLead / 2, CONFIG.retryDelay),
+      remaining,
+    );
+    log("[turnstile] retrying refresh in", retryIn, "ms");
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(function () {
+      runChallenge(core, true);
+    }, retryIn);
+    return state;
+  }
+
+  function readStoredExpiry() {
+    try {
+      var stored = JSON.parse(localStorage.getItem(CONFIG.stateStorageKey));
+      return (stored && stored.expiresAt) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function storeExpiry(value) {
+    try {
+      if (value) {
+        localStorage.setItem(
+          CONFIG.stateStorageKey,
+          JSON.stringify({ verifiedAt: Date.now(), expiresAt: value }),
+        );
+      } else {
+        localStorage.removeItem(CONFIG.stateStorageKey);
+      }
+    } catch (e) {
+      // storage unavailable (private mode, quota); fall back to the cookie
+    }
+  }
+
+  // Expiry from the Worker's response: expiresAt (epoch s/ms) or ttl (s)
+  function expiryFromResponse(core, res) {
+    if (res.expiresAt) return core.toMillis(res.expiresAt);
+    if (res.ttl) return Date.now() + Number(res.ttl) * 1000;
+    return null;
+  }
+
+  // setTimeout overflows above 2^31-1 ms (~24.8 days) and fires at once
+  var MAX_TIMEOUT = 2147483647;
+
+  function scheduleRefresh(core) {
+    clearTimeout(refreshTimer);
+    if (!expiresAt) return;
+
+    var wait = Math.max(expiresAt - CONFIG.refreshLead - Date.now(), 0);
+    log("[turnstile] refreshing verification in", wait, "ms");
+    refreshTimer = setTimeout(
+      function () {
+        // Long sessions wake up early; check again how much time is left
+        if (expiresAt - CONFIG.refreshLead > Date.now()) {
+          scheduleRefresh(core);
+          return;
+        }
+        runChallenge(core, true);
+      },
+      Math.min(wait, MAX_TIMEOUT),
+    );
+  }
+
+  function delay(ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  function withReason(err, reason) {
+    if (!err.reason) err.reason = reason;
+    return err;
   }
 
   function verifyToken(token) {
-    return fetch(VERIFY_URL, {
+    var controller =
+      typeof AbortController === "function" ? new AbortController() : null;
+    var timer = setTimeout(function () {
+      if (controller) controller.abort();
+    }, CONFIG.verifyTimeout);
+
+    return fetch(CONFIG.verifyUrl, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       credentials: "include",
+      signal: controller ? controller.signal : undefined,
       body: JSON.stringify({
         token: token,
         path: location.pathname,
         ua: navigator.userAgent,
       }),
-    }).then(function (r) {
-      return r.json();
+    })
+      .then(
+        function (r) {
+          // A Worker outage (5xx, 429) is retried and may fail open; any
+          // other status carries the Worker's answer, e.g. a 403 rejection
+          if (r.status >= 500 || r.status === 429) {
+            throw withReason(
+              new Error("Verify request failed with " + r.status),
+              "verify_http_" + r.status,
+            );
+          }
+          return r.json().then(
+            function (res) {
+              if (!r.ok && res && res.ok) {
+                throw withReason(
+                  new Error("Verify request failed with " + r.status),
+                  "verify_bad_response",
+                );
+              }
+              return res;
+            },
+            function (err) {
+              throw withReason(err, "verify_bad_response");
+            },
+          );
+        },
+        function (err) {
+          throw withReason(
+            err,
+            err && err.name === "AbortError" ? "verify_timeout" : "network",
+          );
+        },
+      )
+      .then(
+        function (res) {
+          clearTimeout(timer);
+          return res;
+        },
+        function (err) {
+          clearTimeout(timer);
+          throw err;
+        },
+      );
+  }
+
+  // ============ MAIN ============
+  // One attempt = fresh token + verify. Resolves with the Worker response;
+  // rejects with an error carrying a `reason`.
+  function attempt(core) {
+    return core
+      .getToken({ sitekey: CONFIG.sitekey, action: "traffic_gating" })
+      .then(function (token) {
+        log("[turnstile] token received; verifying…");
+        return verifyToken(token);
+      });
+  }
+
+  function attemptWithRetry(core, attemptNumber) {
+    return attempt(core).catch(function (err) {
+      var reason = (err && err.reason) || "unknown";
+      if (attemptNumber >= CONFIG.maxRetries) {
+        throw withReason(err || new Error(reason), reason);
+      }
+
+      var wait = CONFIG.retryDelay * Math.pow(2, attemptNumber);
+      log("[turnstile] attempt failed (" + reason + "); retrying in", wait);
+      return delay(wait).then(function () {
+        return attemptWithRetry(core, attemptNumber + 1);
+      });
     });
   }
 
-  function ensureTurnstileScriptLoaded(cb) {
-    if (window.turnstile) return cb();
-    var s = document.createElement("script");
-    s.src =
-      "https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit";
-    s.async = true;
-    s.defer = true;
-    s.onload = cb;
-    s.onerror = function () {
-      log("[turnstile] failed to load Turnstile script");
-    };
-    document.head.appendChild(s);
+  function runChallenge(core, isRefresh) {
+    if (inFlight) return inFlight;
+    if (!isRefresh) state = "verifying";
+
+    inFlight = attemptWithRetry(core, 0)
+      .then(function (res) {
+        if (res && res.ok) {
+          expiresAt = expiryFromResponse(core, res) || getSessionExpiry(core);
+          storeExpiry(expiresAt);
+          scheduleRefresh(core);
+
+          state = "passed";
+          if (isRefresh) {
+            log("[turnstile] verification refreshed");
+            pushDataLayerEvent(CONFIG.refreshedDataLayerEvent);
+          } else {
+            log("[turnstile] verified OK; gating open (worker cookie)");
+            pass();
+          }
+          return state;
+        }
+        log("[turnstile] Worker rejected token:", res);
+        return isRefresh
+          ? refreshFailed(core, "verify_rejected")
+          : fail("verify_rejected");
+      })
+      .catch(function (err) {
+        log("[turnstile] challenge or verification error:", err);
+        var reason = (err && err.reason) || "unknown";
+        return isRefresh ? refreshFailed(core, reason) : fail(reason);
+      })
+      .then(function (result) {
+        inFlight = null;
+        return result;
+      });
+    return inFlight;
   }
 
-  // ============ MAIN ============
-  function start() {
+  // Expiry of the current session: the cookie's own timestamp when it has
+  // one, else what the Worker told us last time
+  function getSessionExpiry(core) {
+    var session = core.getVerifiedSession(CONFIG.cookieName);
+    return (session && session.expiresAt) || readStoredExpiry();
+  }
+
+  function start(core) {
+    core.setVerifiedCookieName(CONFIG.cookieName);
+
     // Fast path: cookie already present (subsequent pages)
-    if (getCookie(VERIFIED_COOKIE_NAME) === "1") {
-      log("[turnstile] cookie already present; gating open");
-      pushDataLayerEvent();
-      return;
+    if (core.hasVerifiedSession(CONFIG.cookieName)) {
+      expiresAt = getSessionExpiry(core);
+      if (!expiresAt || expiresAt > Date.now()) {
+        log("[turnstile] cookie already present; gating open");
+        state = "passed";
+        pass();
+        scheduleRefresh(core);
+        return;
+      }
+      log("[turnstile] stored verification expired; re-verifying");
     }
 
-    if (!window.turnstile || !document.body) {
-      setTimeout(start, 50);
+    runChallenge(core);
+  }
+
+  // Timers are throttled in background tabs, so check again on return
+  document.addEventListener("visibilitychange", function () {
+    if (
+      document.visibilityState !== "visible" ||
+      state !== "passed" ||
+      !expiresAt ||
+      expiresAt - CONFIG.refreshLead > Date.now()
+    ) {
       return;
     }
-
-    // Create a hidden mount node
-    var mount = document.createElement("div");
-    mount.id = "cf-turnstile-mount";
-    mount.style.cssText =
-      "position:absolute;left:-9999px;top:-9999px;width:1px;height:1px;overflow:hidden;";
-    document.body.appendChild(mount);
-
-    // Render invisible widget
-    var widgetId = window.turnstile.render("#cf-turnstile-mount", {
-      sitekey: TURNSTILE_SITEKEY,
-      size: "invisible",
-      callback: function (token) {
-        log("[turnstile] token received; verifying…");
-        verifyToken(token)
-          .then(function (res) {
-            if (res && res.ok) {
-              log("[turnstile] verified OK; gating open (worker cookie)");
-              pushDataLayerEvent();
-            } else {
-              log("[turnstile] verification failed:", res);
-            }
-          })
-          .catch(function (err) {
-            log("[turnstile] verification request error:", err);
-          });
-      },
+    whenCoreReady(function (core) {
+      runChallenge(core, true);
     });
+  });
 
-    // Execute challenge
-    try {
-      window.turnstile.execute(widgetId);
-    } catch (e) {
-      try {
-        window.turnstile.execute("#cf-turnstile-mount");
-      } catch (e2) {
-        log("[turnstile] execute failed:", e2);
-      }
-    }
+  // ============ PUBLIC API ============
+  window.cfTrafficGating = {
+    // "pending" | "verifying" | "passed" | "failed" | "failed_open"
+    status: function () {
+      return state;
+    },
+
+    // Epoch ms when the current verification lapses, or null if unknown
+    expiresAt: function () {
+      return expiresAt;
+    },
+
+    // Runs the challenge again, ignoring any existing cookie.
+    // Resolves with the resulting status.
+    reverify: function () {
+      return new Promise(function (resolve) {
+        whenCoreReady(
+          function (core) {
+            resolve(runChallenge(core));
+          },
+          function () {
+            resolve(fail("core_unavailable"));
+          },
+        );
+      });
+    },
+
+    // Calls cb every time the gate opens (including fail-open); immediately
+    // if it already has.
+    onPass: function (cb) {
+      if (typeof cb !== "function") return;
+      passCallbacks.push(cb);
+      if (state === "passed" || state === "failed_open") cb();
+    },
+  };
+
+  if (CONFIG.consentType) {
+    whenCoreReady(function (core) {
+      core.consent.onChange(flushHeldEvents);
+    });
   }
 
-  ensureTurnstileScriptLoaded(start);
+  whenCoreReady(start, function () {
+    fail("core_unavailable");
+  });
 })();